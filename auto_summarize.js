@@ -0,0 +1,83 @@
+// auto_summarize.js — automatic summaries and the toolbar badge
+// Loaded by background.js (importScripts), after jobs.js. Pages matching the autoSummarizeOn rules
+// (see autoSummarizeRule in settings.js) are summarized as a background job once they load; the
+// summary is saved and highlighted like any other (handleAIRequest), and the popup shows it (or
+// reattaches to the job still running) when it opens. The badge tells the state of the tab's
+// summary: running, ready (just made), cached (saved earlier) or failed. Every summarize job sets
+// it, whoever started it, and announces itself to the open popup or side panel.
+
+const SUMMARY_BADGES = {
+  running: {text: '…', color: '#2563eb', title: 'badgeRunning'},
+  ready: {text: '✓', color: '#16a34a', title: 'badgeReady'},
+  cached: {text: '✓', color: '#6b7280', title: 'badgeCached'},
+  failed: {text: '!', color: '#dc2626', title: 'badgeFailed'}
+};
+
+// tabId -> the badge state shown, and the signal of the job that set it
+const tabBadges = new Map();
+
+// Show a summary state on a tab's badge ('' clears it); `detail` is a failure's message
+async function setSummaryBadge(tabId, state, detail = '') {
+  const settings = await loadSettings();
+  const badge = settings.summaryBadge ? SUMMARY_BADGES[state] : null;
+  try {
+    await chrome.action.setBadgeText({tabId, text: badge ? badge.text : ''});
+    if (badge) await chrome.action.setBadgeBackgroundColor({tabId, color: badge.color});
+    await chrome.action.setTitle({tabId, title: badge ? i18n(badge.title, detail) : i18n('appName')});
+  } catch (e) {
+    // the tab was closed meanwhile
+  }
+}
+
+// handleAIRequest for jobs. Summaries show on the badge, and a popup or side panel showing the tab
+// is told one started ({action:'summary_started', tabId}) so it can attach to it.
+async function runBadgedRequest(message, emit, signal) {
+  const tabId = message.tabId;
+  if (message.action !== 'summarize' || !tabId) return handleAIRequest(message, emit, signal);
+  const previous = tabBadges.get(tabId);
+  tabBadges.set(tabId, {state: 'running', signal});
+  setSummaryBadge(tabId, 'running');
+  chrome.runtime.sendMessage({action: 'summary_started', tabId}, () => void chrome.runtime.lastError);
+  const resp = await handleAIRequest(message, emit, signal);
+  // a newer job (or a navigation) owns the badge now
+  const current = tabBadges.get(tabId);
+  if (!current || current.signal !== signal) return resp;
+  // a cancelled summary leaves the badge as it was before
+  const state = resp.status === 'ok' ? 'ready' : (resp.status === 'cancelled' ? (previous ? previous.state : '') : 'failed');
+  if (state) tabBadges.set(tabId, {state, signal});
+  else tabBadges.delete(tabId);
+  setSummaryBadge(tabId, state, resp.message || '');
+  return resp;
+}
+
+// A page finished loading: show its saved summary on the badge, or summarize it when a rule says so
+async function onPageLoaded(tab) {
+  if (!tab || !tab.id || !/^https?:/.test(tab.url || '')) return;
+  const settings = await loadSettings();
+  if (isDomainExcluded(settings, tab.url)) return;
+  const key = await pageKeyForTab(tab);
+  if (await loadPageSummary(key)) {
+    tabBadges.set(tab.id, {state: 'cached', signal: null});
+    return setSummaryBadge(tab.id, 'cached');
+  }
+  if (autoSummarizeRule(settings, tab.url) !== 'always') return;
+  startJob(await resolveJobRequest({action: 'summarize', tabId: tab.id, auto: true}), runBadgedRequest);
+}
+
+chrome.tabs.onUpdated.addListener((tabId, changeInfo, tab) => {
+  if (changeInfo.status === 'loading') {
+    // the tab is leaving its page: an automatic summary of it is no longer wanted or shown
+    cancelTabJobs(tabId, request => request.auto);
+    if (tabBadges.delete(tabId)) setSummaryBadge(tabId, '');
+  } else if (changeInfo.status === 'complete') {
+    onPageLoaded(tab).catch(() => {});
+  }
+});
+
+chrome.tabs.onRemoved.addListener((tabId) => tabBadges.delete(tabId));
+
+// turning the badge off clears it everywhere; turning it on shows it from the next change
+onSettingsChanged((settings) => {
+  if (settings.summaryBadge) return;
+  for (const tabId of tabBadges.keys()) setSummaryBadge(tabId, '');
+});
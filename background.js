@@ -1,40 +1,74 @@
 // background.js - service worker (AI orchestration)
 
+importScripts('i18n.js', 'chunker.js', 'output_format.js', 'summary_styles.js', 'settings.js', 'storage.js', 'language.js', 'retrieval.js', 'summarizer.js', 'providers.js', 'mock_provider.js', 'citations.js', 'jobs.js', 'auto_summarize.js', 'pdf_text.js');
+
+// Token budget for page content in a single on-device prompt. Gemini Nano has a small
+// context window, so longer pages go through the chunked map-reduce pipeline below.
+const PROMPT_TOKEN_BUDGET = 3000;
+
 chrome.runtime.onInstalled.addListener(() => {
+  // move data saved by older versions to the current layout and apply the storage limits
+  enforceStorageLimits().catch(() => {});
   chrome.contextMenus.create({
     id: 'summarize-page',
-    title: 'Summarize this page',
+    title: i18n('menuSummarizePage'),
     contexts: ['page']
   });
+  for (const [kind, action] of Object.entries(SELECTION_ACTIONS)) {
+    chrome.contextMenus.create({id: kind + '-selection', title: action.menuTitle, contexts: ['selection']});
+  }
+});
+
+// expired pages (retentionDays setting) go when the browser starts
+chrome.runtime.onStartup.addListener(() => {
+  enforceStorageLimits().catch(() => {});
 });
 
 chrome.contextMenus.onClicked.addListener(async (info, tab) => {
   if (info.menuItemId === 'summarize-page' && tab && tab.id) {
-    // Ask content script to extract page text so user can open popup to summarize
-    chrome.tabs.sendMessage(tab.id, {action: 'extract_page'}, (r) => {
-      if (chrome.runtime.lastError) {
-        // content script not present on this page or message failed — ignore
-        return;
-      }
-      // otherwise, we could handle r if needed
-    });
+    // the side panel opens on the summary job and shows it as it streams in (it follows the
+    // active tab, see popup.js); open() has to be called before anything is awaited
+    chrome.sidePanel.open({windowId: tab.windowId}).catch(() => {});
+    startJob(await resolveJobRequest({action: 'summarize', tabId: tab.id}), runBadgedRequest);
+    return;
+  }
+  const kind = String(info.menuItemId || '').replace(/-selection$/, '');
+  if (SELECTION_ACTIONS[kind] && tab && tab.id && info.selectionText) {
+    runSelectionAction(tab, info.frameId || 0, kind, info.selectionText);
   }
 });
 
-// Helper: extract page text via content script
-// Helper: extract page text. Try messaging the content script first; if that fails
-// (e.g. content script not injected or page blocked), fall back to executing a
-// small script in the page (MAIN world) to read document.body.innerText.
-async function extractPageText(tabId, timeoutMs = 5000) {
+// Helper: extract page text. PDFs are fetched and read (extractPdfText); other pages are read in
+// the top frame (extractTopFrameText), then the text of their content iframes is put where those
+// sit. When `raw` is set (rawExtraction setting), the whole document.body.innerText is read instead
+// of the main article.
+// Resolves to {ok, text, title, byline, published, lang, canonical} or {ok:false, error}.
+async function extractPageText(tabId, raw = false, timeoutMs = 5000) {
+  const tab = await chrome.tabs.get(tabId).catch(() => null);
+  if (tab && isPdfUrl(tab.url)) return extractPdfText(tab.url);
+  const page = await extractTopFrameText(tabId, raw, timeoutMs);
+  if (!page.ok) return page;
+  // a PDF whose address doesn't say so
+  if (page.contentType === 'application/pdf' && tab) return extractPdfText(tab.url);
+  if (page.frames.some(Boolean)) page.text = mergeFrameTexts(page, await extractSubframeTexts(tabId, raw));
+  return page;
+}
+
+// Read the top frame. Try messaging the content script first; if that fails (e.g. content script
+// not injected or page blocked), fall back to injecting extractor.js and running the main-content
+// extractor in the page. Resolves like extractPageText, plus the frames the text has markers for
+// and the document's contentType.
+async function extractTopFrameText(tabId, raw, timeoutMs) {
+
   // Try messaging content script
   try {
     const resp = await new Promise((resolve) => {
       let finished = false;
       try {
-        chrome.tabs.sendMessage(tabId, {action: 'extract_page'}, (r) => {
+        chrome.tabs.sendMessage(tabId, {action: 'extract_page', raw}, (r) => {
           finished = true;
           if (chrome.runtime.lastError) return resolve({ok:false, error: chrome.runtime.lastError.message});
-          resolve({ok:true, text: (r && r.text) ? String(r.text) : ''});
+          resolve({ok:true, text: (r && r.text) ? String(r.text) : '', title: (r && r.title) || '', byline: (r && r.byline) || '', published: (r && r.published) || '', lang: (r && r.lang) || '', canonical: (r && r.canonical) || '', frames: (r && Array.isArray(r.frames)) ? r.frames : [], contentType: (r && r.contentType) || ''});
         });
       } catch (e) {
         finished = true;
@@ -48,232 +82,604 @@ async function extractPageText(tabId, timeoutMs = 5000) {
     // continue to fallback
   }
 
-  // Fallback: executeScript in MAIN world to read body text directly
+  // Fallback: inject the extractor (or read body text directly in raw mode)
   try {
-    const results = await chrome.scripting.executeScript({
-      target: {tabId},
-      world: 'MAIN',
-      func: () => {
-        try { return {text: document && document.body ? document.body.innerText : ''}; }
-        catch (err) { return {error: String(err)}; }
-      }
-    });
+    let results;
+    if (raw) {
+      results = await chrome.scripting.executeScript({
+        target: {tabId},
+        world: 'MAIN',
+        func: () => {
+          try { return {text: document && document.body ? document.body.innerText : '', title: document.title || '', lang: document.documentElement.lang || '', contentType: document.contentType}; }
+          catch (err) { return {error: String(err)}; }
+        }
+      });
+    } else {
+      await chrome.scripting.executeScript({target: {tabId}, files: ['extractor.js']});
+      results = await chrome.scripting.executeScript({
+        target: {tabId},
+        func: () => {
+          try { return Object.assign(extractMainContent(document), {contentType: document.contentType}); }
+          catch (err) { return {error: String(err)}; }
+        }
+      });
+    }
     if (!results || !results[0]) return {ok:false, error: 'no result from page script'};
     const v = results[0].result;
     if (v && v.error) return {ok:false, error: 'page script error: '+v.error};
-    return {ok:true, text: String(v && v.text ? v.text : '')};
+    return {ok:true, text: String(v && v.text ? v.text : ''), title: (v && v.title) || '', byline: (v && v.byline) || '', published: (v && v.published) || '', lang: (v && v.lang) || '', canonical: (v && v.canonical) || '', frames: (v && Array.isArray(v.frames)) ? v.frames : [], contentType: (v && v.contentType) || ''};
   } catch (e) {
     return {ok:false, error: e && e.message ? e.message : String(e)};
   }
 }
 
-// Helper: call chrome.ai if available in service worker
-async function callChromeAI(prompt, options = {}){
-  if (chrome && chrome.ai && chrome.ai.languageModel && chrome.ai.languageModel.create) {
-    const model = await chrome.ai.languageModel.create({model: options.model || 'gemini-nano', ...options});
-    const response = await model.generate({messages:[{role:'user', content: prompt}], maxOutputTokens: options.maxOutputTokens || 400});
-    if (response.candidates && response.candidates[0]) {
-      const cand = response.candidates[0];
-      if (cand.content && Array.isArray(cand.content)) return cand.content.map(c=>c.text||'').join('');
-      return String(cand);
-    }
-    if (response.output && response.output[0] && response.output[0].content) return response.output[0].content.map(c=>c.text||'').join('');
-    return JSON.stringify(response);
-  }
-  throw new Error('chrome.ai not available in background');
-}
+// Markers extractor.js leaves where content iframes sit (see _rifcareFrameMarker)
+const FRAME_MARKER = /\uE000(\d+)\uE001/g;
+// Frames with less text (and no frames of their own) are ads and widgets
+const FRAME_MIN_TEXT = 200;
 
-// Helper: inject into page context (MAIN world) to call window.ai
-async function callWindowAIInPage(tabId, prompt, options = {}){
+// Text of the tab's iframes: extractor.js is injected into every frame and run in those big
+// enough to show content. Resolves to [{url, text, frames}], [] when the frames can't be reached.
+async function extractSubframeTexts(tabId, raw) {
   try {
+    await chrome.scripting.executeScript({target: {tabId, allFrames: true}, files: ['extractor.js']});
     const results = await chrome.scripting.executeScript({
-      target: {tabId},
-      world: 'MAIN',
-      func: async (p, opts) => {
-        if (!window.ai || !window.ai.createLanguageModel) return {error: 'window.ai not available'};
+      target: {tabId, allFrames: true},
+      args: [raw],
+      func: (raw) => {
+        if (window === window.top || window.innerWidth < 200 || window.innerHeight < 100) return null;
         try {
-          const model = await window.ai.createLanguageModel({model: opts.model || 'gemini-nano'});
-          const res = await model.generate({messages:[{role:'user', content: p}], maxOutputTokens: opts.maxOutputTokens || 400});
-          if (res.output && res.output[0] && res.output[0].content) return {text: res.output[0].content.map(c=>c.text||'').join('')};
-          if (res.candidates && res.candidates[0] && res.candidates[0].content) return {text: res.candidates[0].content.map(c=>c.text||'').join('')};
-          return {text: JSON.stringify(res)};
-        } catch (err) {
-          return {error: err && err.message ? err.message : String(err)};
-        }
-      },
-      args: [prompt, options]
+          const page = raw ? {text: extractRawText(document), frames: extractFrameUrls(document)} : extractMainContent(document);
+          return {url: location.href, text: page.text, frames: page.frames};
+        } catch (err) { return null; }
+      }
     });
-    if (!results || !results[0]) throw new Error('No result from injected script');
-    const v = results[0].result;
-    if (v && v.error) throw new Error(v.error);
-    return String(v && v.text ? v.text : '');
+    return (results || []).map(r => r.result).filter(f => f && f.text && (f.text.replace(FRAME_MARKER, '').trim().length >= FRAME_MIN_TEXT || f.text.includes('\uE000')));
   } catch (e) {
-    throw e;
+    return [];
   }
 }
 
-// Simple extractive summarizer fallback (no external AI).
-// Produces a human-readable string with bullets and a ===HIGHLIGHTS=== section
-function extractiveSummarize(rawText, maxBullets = 4, maxHighlights = 4) {
-  if (!rawText || !rawText.trim()) return '';
-  // Split into sentences (simple heuristic)
-  const sents = rawText.replace(/\s+/g, ' ').split(/(?<=[.!?])\s+/).map(s=>s.trim()).filter(Boolean);
-  if (!sents.length) return '';
-
-  // Build word frequencies (very small stopword list)
-  const stop = new Set(['the','and','is','in','to','of','a','that','it','for','on','with','as','are','was','by','an','be','this','or','from','at','which','you']);
-  const freqs = Object.create(null);
-  for (const s of sents) {
-    const words = s.toLowerCase().replace(/[^a-z0-9\s]/g,'').split(/\s+/).filter(Boolean);
-    for (const w of words) {
-      if (stop.has(w)) continue;
-      freqs[w] = (freqs[w] || 0) + 1;
+// The page's text with each frame's text where its marker is (frames are matched by address), in
+// the order the page shows them. Frames without a marker (raw text, or outside the article) follow
+// the text of the frame holding them; frames no page lists (redirected) come last.
+function mergeFrameTexts(page, subframes) {
+  const unused = subframes.slice();
+  const take = (url) => {
+    const at = unused.findIndex(f => f.url === url);
+    return at === -1 ? null : unused.splice(at, 1)[0];
+  };
+  const expand = (frame) => {
+    const frames = frame.frames || [];
+    const text = String(frame.text || '').replace(FRAME_MARKER, (m, n) => {
+      const sub = take(frames[n]);
+      return sub ? expand(sub) : '';
+    });
+    const rest = frames.map(take).filter(Boolean).map(expand);
+    // a marker whose frame wasn't read leaves an empty paragraph
+    return [text.replace(/\n{3,}/g, '\n\n'), ...rest].map(t => t.trim()).filter(Boolean).join('\n\n');
+  };
+  const parts = [expand(page)];
+  while (unused.length) parts.push(expand(unused.shift()));
+  return parts.filter(Boolean).join('\n\n');
+}
+
+// Fetch a PDF and read its text (pdf_text.js). Resolves like extractPageText.
+async function extractPdfText(url) {
+  try {
+    let res;
+    try {
+      res = await fetch(url, {credentials: 'include'});
+    } catch (e) {
+      // local files can only be read with "Allow access to file URLs" on
+      throw new Error(/^file:/.test(url) ? i18n('errPdfFileAccess') : (e && e.message) || String(e));
     }
+    if (!res.ok) throw new Error(`HTTP ${res.status}`);
+    if (Number(res.headers.get('content-length')) > PDF_MAX_BYTES) throw new Error(i18n('errPdfTooLarge'));
+    const bytes = new Uint8Array(await res.arrayBuffer());
+    if (bytes.length > PDF_MAX_BYTES) throw new Error(i18n('errPdfTooLarge'));
+    const pdf = await pdfToText(bytes);
+    if (!pdf.text.trim()) throw new Error(i18n('errPdfNoText'));
+    let name = '';
+    try { name = decodeURIComponent(new URL(url).pathname.split('/').pop()); } catch (e) { /* keep no name */ }
+    return {ok:true, text: pdf.text, title: pdf.title || name, byline: '', published: '', lang: '', canonical: ''};
+  } catch (e) {
+    return {ok:false, error: e && e.message ? e.message : String(e)};
   }
-  // Score sentences
-  const scored = sents.map(s => {
-    const words = s.toLowerCase().replace(/[^a-z0-9\s]/g,'').split(/\s+/).filter(Boolean);
-    let score = 0;
-    for (const w of words) if (freqs[w]) score += freqs[w];
-    return {s, score};
-  });
-  scored.sort((a,b)=>b.score - a.score);
-  const bullets = scored.slice(0, maxBullets).map(x => x.s.replace(/\s+/g,' ').trim());
-  // For highlights, prefer full sentences with highest score that are not the same as bullets
-  const highlights = [];
-  for (const item of scored) {
-    if (highlights.length >= maxHighlights) break;
-    if (bullets.includes(item.s)) continue;
-    if (item.s.split(' ').length < 6) continue; // skip very short
-    highlights.push(item.s);
-  }
-  // If no highlights found, use bullets as fallback
-  while (highlights.length < Math.min(maxHighlights, bullets.length)) highlights.push(bullets[highlights.length] || '');
+}
 
-  // Format output similar to AI: bullets then delimiter and highlights
-  const bulletsText = bullets.map(b => `- ${b}`).join('\n');
-  const highlightsText = highlights.map(h => h).join('\n');
-  return bulletsText + '\n\n===HIGHLIGHTS===\n' + highlightsText;
+// Helper: format extracted page metadata + body for prompts
+function formatPageContent(extracted, maxChars = 200000) {
+  const header = [];
+  if (extracted.title) header.push('Title: ' + extracted.title);
+  if (extracted.byline) header.push('By: ' + extracted.byline);
+  if (extracted.published) header.push('Published: ' + extracted.published);
+  const body = String(extracted.text || '');
+  return (header.length ? header.join('\n') + '\n\n' : '') + body.slice(0, maxChars);
 }
 
-// Main handler: popup requests summarization
-chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
-  if (!message || (message.action !== 'summarize' && message.action !== 'ask')) return;
-  (async () => {
-    try {
-      // determine target tab
-      let tabId = message.tabId;
-      if (!tabId) {
-        const tabs = await chrome.tabs.query({active:true, currentWindow:true});
-        if (!tabs || !tabs[0]) return sendResponse({status:'error', message:'No active tab'});
-        tabId = tabs[0].id;
+// The summary fields of a response from summary output (see output_format.js). When the output
+// has no highlights, they are picked from the page so there is still something to highlight.
+function summaryFields(raw, pageText, options, lang) {
+  const parsed = parseSummaryResponse(raw);
+  let highlights = parsed.highlights.slice(0, options.highlights);
+  if (!highlights.length && options.highlights) highlights = summarizeExtractive(pageText, 0, options.highlights, {lang}).highlights;
+  return {bullets: parsed.bullets, highlights, title: parsed.title, entities: parsed.entities.slice(0, 5)};
+}
+
+function formatPartials(partials) {
+  return partials.map((p, i) => {
+    const heading = p.headings && p.headings.length ? ` (sections: ${p.headings.join('; ')})` : '';
+    return `Part ${i + 1}${heading}:\n` + p.bullets.map(b => `- ${b}`).join('\n') + '\nCandidate sentences:\n' + p.highlights.join('\n');
+  }).join('\n\n');
+}
+
+// Partial summaries as input for a dedicated summarizer (see providers.js): their bullets, with
+// their candidate sentences as the highlights to keep
+function partialsSummaryInput(partials, options) {
+  return {text: partials.flatMap(p => p.bullets).map(b => `- ${b}`).join('\n'), highlights: partials.flatMap(p => p.highlights), options};
+}
+
+// Merge partial summaries in batches that fit the prompt budget until one batch remains,
+// then produce the final summary output. Resolves to generateText()'s {text, source, model}.
+async function reducePartials(tabId, partials, options, onDelta, signal) {
+  let level = partials;
+  while (level.length > 1 && estimateTokens(formatPartials(level)) > PROMPT_TOKEN_BUDGET) {
+    const next = [];
+    let batch = [];
+    for (const p of level) {
+      if (batch.length && estimateTokens(formatPartials(batch.concat([p]))) > PROMPT_TOKEN_BUDGET) {
+        next.push(await mergeBatch(tabId, batch, options, 6, 6, signal));
+        batch = [];
       }
+      batch.push(p);
+    }
+    if (batch.length) next.push(await mergeBatch(tabId, batch, options, 6, 6, signal));
+    // A batch of one partial that is still too large cannot shrink further
+    if (next.length >= level.length) break;
+    level = next;
+  }
+  const prompt = buildSummaryPrompt(options, formatPartials(level), 'The following are partial summaries of consecutive parts of one webpage, each followed by candidate sentences copied from the page. Taking the highlight sentences only from those candidates, turn them');
+  return generateText(tabId, prompt, {temperature:0.2, maxOutputTokens:400, purpose: 'summarize', summary: partialsSummaryInput(level, options), schema: SUMMARY_SCHEMA, signal}, onDelta);
+}
+
+async function mergeBatch(tabId, batch, options, maxBullets, maxHighlights, signal) {
+  const prompt = `Combine these partial summaries of consecutive parts of one webpage into at most ${maxBullets} concise bullet points, and keep at most ${maxHighlights} of the candidate sentences, copied exactly, as highlights. Reply with only a JSON object of the form {"bullets": ["bullet point", ...], "highlights": ["kept sentence", ...]}.\n\n${formatPartials(batch)}`;
+  const batchOptions = Object.assign({}, options, {style: 'takeaways', baseBullets: maxBullets, bullets: maxBullets, highlights: maxHighlights});
+  const res = await generateText(tabId, prompt, {temperature:0.2, maxOutputTokens:400, purpose: 'summarize', summary: partialsSummaryInput(batch, batchOptions), schema: SUMMARY_SCHEMA, signal});
+  const parsed = parseSummaryResponse(res.text);
+  return {bullets: parsed.bullets, highlights: parsed.highlights, headings: batch.flatMap(p => p.headings || [])};
+}
+
+// Summarize page content with the on-device model. Content that fits PROMPT_TOKEN_BUDGET goes
+// out in one prompt; longer content is split into section-aligned chunks (map), each chunk is
+// summarized with highlight candidates, and the partials are merged (reduce).
+// options come from resolveSummaryOptions (style, length, counts, language, languageCode).
+// onProgress(current, total) is called before each chunk; onDelta streams the final output only;
+// signal cancels the remaining model calls. Resolves to {text, source, model, chunks}.
+async function summarizeContent(tabId, content, options, onProgress, onDelta, signal) {
+  if (estimateTokens(content) <= PROMPT_TOKEN_BUDGET) {
+    const prompt = buildSummaryPrompt(options, content);
+    const res = await generateText(tabId, prompt, {temperature:0.2, maxOutputTokens:400, purpose: 'summarize', summary: {text: content, options}, schema: SUMMARY_SCHEMA, signal}, onDelta);
+    return {text: res.text, source: res.source, model: res.model, chunks: 1};
+  }
+
+  const chunks = chunkText(content, PROMPT_TOKEN_BUDGET);
+  const partials = [];
+  const chunkOptions = Object.assign({}, options, {style: 'takeaways', length: 'short', baseBullets: 4, bullets: 4, highlights: 3});
+  for (let i = 0; i < chunks.length; i++) {
+    if (onProgress) onProgress(i + 1, chunks.length);
+    const prompt = `This is part ${i + 1} of ${chunks.length} of a long webpage. Summarize this part into at most 4 concise bullet points and pick up to 3 highlight-worthy sentences (exact sentence text). Reply with only a JSON object of the form {"bullets": ["bullet point", ...], "highlights": ["sentence copied exactly", ...]}. Content:\n\n${chunks[i].text}`;
+    const res = await generateText(tabId, prompt, {temperature:0.2, maxOutputTokens:300, purpose: 'summarize', summary: {text: chunks[i].text, options: chunkOptions}, schema: SUMMARY_SCHEMA, signal});
+    const parsed = parseSummaryResponse(res.text);
+    partials.push({bullets: parsed.bullets.slice(0, 4), highlights: parsed.highlights.slice(0, 3), headings: chunks[i].headings});
+  }
+  const res = await reducePartials(tabId, partials, options, onDelta, signal);
+  return {text: res.text, source: res.source, model: res.model, chunks: chunks.length};
+}
+
+// Drop "# Heading" lines and "- " list markers that extractor.js adds to page text
+function stripStructureMarkers(text) {
+  return String(text || '').replace(/^#{1,6}\s.*$/gm, '').replace(/^- /gm, '');
+}
+
+// Extractive fallback for a summary style (see summary_styles.js and summarizer.js).
+// Same output format as the model; '' when the text has no sentences. lang is the page
+// language (detected when not given).
+function extractiveSummarizeStyled(rawText, options, title = '', lang = '') {
+  const kind = SUMMARY_STYLES[options.style].fallback;
+  lang = lang || detectLanguage(rawText);
+  // takeaways read best in page order; the brief leads with the top-ranked sentence
+  const base = summarizeExtractive(rawText, options.bullets, options.highlights, {title, lang, order: kind === 'extractive' ? 'document' : 'rank'});
+  if (!base.bullets.length) return '';
+  if (kind === 'tldr' || kind === 'extractive') return formatSummaryOutput(base.bullets, base.highlights);
+
+  if (kind === 'brief') {
+    const bullets = base.bullets.slice();
+    if (bullets.length) bullets[0] = i18n('fallbackBottomLine', bullets[0]);
+    return formatSummaryOutput(bullets, base.highlights);
+  }
+
+  if (kind === 'outline') {
+    // top sentence of each headed section, in page order
+    const sections = splitIntoSections(rawText).filter(s => s.heading);
+    if (sections.length < 2) return formatSummaryOutput(base.bullets, base.highlights);
+    const bullets = [];
+    for (const section of sections.slice(0, options.bullets)) {
+      const body = section.text.split('\n').slice(1).join('\n');
+      const top = summarizeExtractive(body, 1, 0, {title: section.heading, lang}).bullets[0];
+      bullets.push(top ? `${section.heading}: ${top}` : section.heading);
+    }
+    return formatSummaryOutput(bullets, base.highlights);
+  }
+
+  if (kind === 'actions') {
+    // sentences that read like instructions or recommendations
+    const cue = /^(please\s+)?(add|avoid|check|click|configure|consider|contact|create|download|enable|ensure|install|make sure|open|read|register|remember|review|run|see|select|set|sign up|start|try|update|use|visit)\b|\b(should|must|need to|needs to|recommend|make sure|be sure to|don't forget)\b/i;
+    const sents = splitSentences(stripStructureMarkers(rawText).replace(/\s+/g, ' '), lang).filter(s => cue.test(s));
+    const bullets = sents.slice(0, options.bullets);
+    return formatSummaryOutput(bullets.length ? bullets : [i18n('fallbackNoActions')], bullets.length ? bullets.slice(0, options.highlights) : base.highlights);
+  }
+  return formatSummaryOutput(base.bullets, base.highlights);
+}
+
+// Ask the page to translate texts with the on-device translator. Resolves to the translations,
+// or null when translation isn't available there.
+function translateInPage(tabId, texts, source, target) {
+  return new Promise((resolve) => {
+    chrome.tabs.sendMessage(tabId, {action: 'translate_text', texts, source, target}, (r) => {
+      if (chrome.runtime.lastError || !r || r.status !== 'ok') return resolve(null);
+      resolve(r.texts);
+    });
+  });
+}
+
+// Extractive fallback in the output language: the page's sentences are translated when the
+// output language differs from the page language. Highlights stay verbatim so they can still be
+// found on the page. Resolves to {text, translated}.
+async function localizedExtractiveSummary(tabId, rawText, options, title, pageLang, targetLang) {
+  const text = extractiveSummarizeStyled(rawText, options, title, pageLang);
+  if (!text || !targetLang || targetLang === pageLang) return {text, translated: false};
+  const parsed = parseSummaryResponse(text);
+  const bullets = await translateInPage(tabId, parsed.bullets, pageLang, targetLang);
+  if (!bullets) return {text, translated: false};
+  return {text: formatSummaryOutput(bullets, parsed.highlights), translated: true};
+}
+
+// Earlier turns of a conversation are replayed into follow-up prompts, newest first,
+// within this many turns and (estimated) tokens
+const CONVERSATION_MAX_TURNS = 6;
+const CONVERSATION_TOKEN_BUDGET = 800;
+
+function formatConversation(turns) {
+  return turns.map(t => `User: ${t.question}\nAssistant: ${t.answer}`).join('\n');
+}
 
-      // extract visible text
-      const extracted = await extractPageText(tabId);
-      if (!extracted.ok) return sendResponse({status:'error', message: 'Failed to extract page text: '+(extracted.error||'unknown')});
-      const text = String(extracted.text || '').slice(0, 200000);
+// The trimmed window of prior turns in `threadId` to send with a follow-up question
+function conversationWindow(history, threadId) {
+  const turns = history.filter(h => (h.thread || 'default') === threadId).slice(-CONVERSATION_MAX_TURNS);
+  while (turns.length && estimateTokens(formatConversation(turns)) > CONVERSATION_TOKEN_BUDGET) turns.shift();
+  return turns;
+}
+
+// Run a summarize/ask request. emit(event) receives streaming events:
+// {type:'progress', current, total} for chunked summaries and {type:'delta', text} for output text.
+// Resolves to the final response ({status:'ok', ...} or {status:'error', message}), or to
+// {status:'cancelled'} once signal aborts — nothing is saved and no fallback runs then.
+async function handleAIRequest(message, emit = () => {}, signal = null) {
+  const onDelta = (text) => emit({type:'delta', text});
+  try {
+    // determine target tab
+    let tabId = message.tabId;
+    if (!tabId) {
+      const tabs = await chrome.tabs.query({active:true, currentWindow:true});
+      if (!tabs || !tabs[0]) return {status:'error', message: i18n('errNoActiveTab')};
+      tabId = tabs[0].id;
+    }
 
-      if (message.action === 'summarize') {
-        const prompt = `Summarize the following webpage content into 4 concise bullet points and provide 4 highlight-worthy sentences (exact sentence text). Separate bullets with "\\n- " and highlight sentences after a delimiter "===HIGHLIGHTS===\\n" followed by each sentence on its own line. Content:\n\n${text}`;
-        // Try chrome.ai in background first
+    const settings = await loadSettings();
+    const tabInfo = await chrome.tabs.get(tabId);
+    if (tabInfo && tabInfo.url && isDomainExcluded(settings, tabInfo.url)) {
+      return {status:'error', message: i18n('errSiteExcluded')};
+    }
+    const language = outputLanguageName(settings);
+
+    // extract visible text
+    const extracted = await extractPageText(tabId, settings.rawExtraction);
+    throwIfCancelled(signal);
+    if (!extracted.ok) return {status:'error', message: i18n('errExtractFailed', extracted.error || i18n('errorUnknown'))};
+    const text = String(extracted.text || '').slice(0, 200000);
+    const pageLang = detectLanguage(text, extracted.lang);
+    const content = formatPageContent(extracted);
+    // summaries and Q&A history are saved per page (see storage.js), whether or not a popup is open
+    const key = pageKey(tabInfo && tabInfo.url ? tabInfo.url : 'unknown', extracted.canonical);
+    const pageInfo = {title: extracted.title || (tabInfo && tabInfo.title) || ''};
+    const saveEntry = (entry) => appendQAHistory(key, entry, settings.maxHistoryPerPage, pageInfo).catch(() => {});
+    const saveSummary = async (resp) => {
+      await savePageSummary(key, summaryRecord(resp, resp), pageInfo).catch(() => {});
+      // the content script highlights the summary's sentences and anchors them for later visits
+      chrome.tabs.sendMessage(tabId, {action: 'restore_highlights'}, () => void chrome.runtime.lastError);
+      return resp;
+    };
+
+    if (message.action === 'summarize') {
+      const options = resolveSummaryOptions(message.style || settings.summaryStyle, message.length || settings.summaryLength, {
+        bullets: settings.bulletCount, highlights: settings.highlightCount, language, languageCode: outputLanguageCode(settings)
+      });
+      try {
+        const res = await summarizeContent(tabId, content, options, (current, total) => emit({type:'progress', current, total}), onDelta, signal);
+        return saveSummary(Object.assign({status:'ok', text: res.text, source: res.source, model: res.model, chunks: res.chunks, style: options.style, length: options.length}, summaryFields(res.text, text, options, pageLang)));
+      } catch (err2) {
+        if (err2 && err2.cancelled) throw err2;
+        // Built-in AI paths failed — use extractive summarizer fallback (unless turned off)
+        // a built-in model that isn't downloaded yet goes back with the result so the popup can offer it
+        const modelStatus = err2 && err2.modelStatus;
+        if (!settings.extractiveFallback) {
+          return {status:'error', message: i18n('errAiUnavailable', err2 && err2.message ? err2.message : String(err2)), modelStatus};
+        }
         try {
-          const aiText = await callChromeAI(prompt, {temperature:0.2, maxOutputTokens:400});
-          return sendResponse({status:'ok', text: aiText, source: 'chrome.ai'});
-        } catch (e) {
-          // fallback to in-page window.ai call via injection
-          try {
-            const aiText = await callWindowAIInPage(tabId, prompt, {temperature:0.2, maxOutputTokens:400});
-            return sendResponse({status:'ok', text: aiText, source: 'window.ai'});
-          } catch (err2) {
-            // Both built-in AI paths failed — use extractive summarizer fallback
-            try {
-              const fallback = extractiveSummarize(text, 4, 4);
-              if (fallback && fallback.trim()) {
-                return sendResponse({status:'ok', text: fallback, source: 'extractive-fallback'});
-              }
-              return sendResponse({status:'error', message: 'Gemini Nano not supported on this device or context: '+(err2 && err2.message ? err2.message : String(err2))});
-            } catch (fallbackErr) {
-              return sendResponse({status:'error', message: 'Gemini Nano not supported and extractive fallback failed: '+(fallbackErr && fallbackErr.message ? fallbackErr.message : String(fallbackErr))});
-            }
+          const fallback = await localizedExtractiveSummary(tabId, text, options, extracted.title, pageLang, outputLanguageCode(settings));
+          if (fallback.text) {
+            // discard any partial model output already streamed, then send the fallback text
+            emit({type:'reset'});
+            onDelta(fallback.text);
+            return saveSummary(Object.assign({status:'ok', text: fallback.text, source: 'extractive-fallback', translated: fallback.translated, style: options.style, length: options.length, modelStatus}, summaryFields(fallback.text, text, options, pageLang)));
           }
+          return {status:'error', message: i18n('errNanoUnsupported', err2 && err2.message ? err2.message : String(err2)), modelStatus};
+        } catch (fallbackErr) {
+          return {status:'error', message: i18n('errFallbackFailed', fallbackErr && fallbackErr.message ? fallbackErr.message : String(fallbackErr))};
         }
       }
+    }
 
-      if (message.action === 'ask') {
-        const question = message.question || '';
-        const prompt = `Answer the user's question based on the following webpage content. Provide a concise answer. If you cannot find a direct answer, give a short summary relevant to the question.\n\nQuestion: ${question}\n\nContent:\n${text}`;
-        // support mock mode
-        if (message.mock) {
-          const mockAnswer = `MOCK ANSWER: simulated response to "${question}"`;
-          try {
-            // persist to storage
-            const tabInfo = await chrome.tabs.get(tabId);
-            const url = tabInfo && tabInfo.url ? tabInfo.url : 'unknown';
-            const key = 'qa_history_' + url;
-            chrome.storage.local.get([key], (res) => {
-              const hist = res[key] || [];
-              hist.push({question, answer: mockAnswer, at: Date.now(), source: 'mock'});
-              const o = {}; o[key] = hist; chrome.storage.local.set(o, ()=>{});
-            });
-          } catch (e) {
-            // ignore storage errors
-          }
-          return sendResponse({status:'ok', answer: mockAnswer, source: 'mock'});
+    if (message.action === 'ask') {
+      const question = message.question || '';
+      const thread = message.threadId || 'default';
+      const previous = conversationWindow(await loadQAHistory(key), thread);
+      throwIfCancelled(signal);
+      const conversation = previous.length
+        ? `Conversation so far (use it to resolve follow-ups like "it" or "the second option"):\n${formatConversation(previous)}\n\n`
+        : '';
+      // the page goes to the model as numbered passages so the answer can cite them
+      const header = formatPageContent({title: extracted.title, byline: extracted.byline, published: extracted.published});
+      const passages = splitPassages(text, pageLang);
+      const budget = PROMPT_TOKEN_BUDGET - estimateTokens(conversation + question + header) - 200;
+      // only the passages relevant to the question (and the turns before it) are sent
+      const sources = retrievePassages(passages, question + ' ' + previous.map(t => t.question).join(' '), Math.max(budget, 500), pageLang);
+      const prompt = `Answer the user's question based on the following webpage passages. Provide a concise answer. After each sentence, cite the passages that support it by number in square brackets, e.g. [2] or [1][4]. Only state what the passages support; if they don't answer the question, say so.${language ? ` Answer in ${language}.` : ''} ${ANSWER_JSON_INSTRUCTION}\n\n${conversation}Question: ${question}\n\n${header}Passages:\n${formatPassages(sources)}`;
+      // Try the AI providers (the mock one in mock mode), then persist
+      let finalAnswer = null;
+      let finalSource = null;
+      let finalModel;
+      let modelStatus;
+      let confidence = null;
+      try {
+        const res = await generateText(tabId, prompt, {temperature:0.2, maxOutputTokens:300, purpose: 'ask', settings, schema: ANSWER_SCHEMA, signal}, onDelta);
+        finalAnswer = parseAnswerResponse(res.text);
+        // an empty answer fails like a model error, so the fallback answers instead
+        if (!finalAnswer) throw new Error(i18n('errEmptyAnswer'));
+        finalSource = res.source;
+        finalModel = res.model;
+      } catch (e) {
+        if (e && e.cancelled) throw e;
+        modelStatus = e && e.modelStatus;
+        if (!settings.extractiveFallback) {
+          return {status:'error', message: i18n('errAiUnavailable', e && e.message ? e.message : String(e)), modelStatus};
         }
-        // Try chrome.ai
-        // Attempt AI paths and capture result, then persist
-        let finalAnswer = null;
-        let finalSource = null;
+        // fallback: extractive QA with BM25 over the page passages
         try {
-          const aiText = await callChromeAI(prompt, {temperature:0.2, maxOutputTokens:300});
-          finalAnswer = String(aiText || '');
-          finalSource = 'chrome.ai';
-        } catch (e) {
-          try {
-            const aiText = await callWindowAIInPage(tabId, prompt, {temperature:0.2, maxOutputTokens:300});
-            finalAnswer = String(aiText || '');
-            finalSource = 'window.ai';
-          } catch (err2) {
-            // fallback: extractive QA using simple keyword overlap
-            try {
-              const cleanQ = String(question || '').toLowerCase().replace(/[^a-z0-9\s]/g,'');
-              const qWords = cleanQ.split(/\s+/).filter(w => w.length>2);
-              const sents = String(text || '').replace(/\s+/g,' ').split(/(?<=[.!?])\s+/).map(s=>s.trim()).filter(Boolean);
-              const scores = sents.map(s => {
-                const lw = s.toLowerCase();
-                let score = 0; for (const w of qWords) if (lw.includes(w)) score += 1; return {s, score};
-              });
-              scores.sort((a,b)=>b.score - a.score);
-              const best = scores[0];
-              const answer = (best && best.score>0) ? best.s : (sents.find(s=>s.split(' ').length>6)||sents[0]||'No answer found');
-              finalAnswer = String(answer || '');
-              finalSource = 'extractive-fallback';
-            } catch (fallbackErr) {
-              return sendResponse({status:'error', message: 'AI not available and extractive fallback failed: '+(fallbackErr && fallbackErr.message ? fallbackErr.message : String(fallbackErr))});
-            }
-          }
+          // follow-ups rarely repeat their subject, so the previous question's words count too
+          const lastQuestion = previous.length ? previous[previous.length - 1].question : '';
+          const found = answerFromPassages(passages, question, pageLang) || (lastQuestion ? answerFromPassages(passages, question + ' ' + lastQuestion, pageLang) : null);
+          finalAnswer = found ? found.text : i18n('fallbackNoAnswer');
+          confidence = found ? found.confidence : 0;
+          finalSource = 'extractive-fallback';
+          emit({type:'reset'});
+          onDelta(finalAnswer);
+        } catch (fallbackErr) {
+          return {status:'error', message: i18n('errAskFallbackFailed', fallbackErr && fallbackErr.message ? fallbackErr.message : String(fallbackErr))};
         }
+      }
 
-        // Persist QA history under qa_history_<url>
-        try {
-          const tabInfo = await chrome.tabs.get(tabId);
-          const url = tabInfo && tabInfo.url ? tabInfo.url : 'unknown';
-          const key = 'qa_history_' + url;
-          chrome.storage.local.get([key], (res) => {
-            const hist = res[key] || [];
-            hist.push({question, answer: finalAnswer, at: Date.now(), source: finalSource});
-            const o = {}; o[key] = hist; chrome.storage.local.set(o, ()=>{});
-          });
-        } catch (e) {
-          // ignore storage errors
-        }
+      // the fallback answer is page text, so it is checked against every passage; a fallback that
+      // found nothing has no claims to check
+      const cited = confidence === 0 ? {answer: finalAnswer, claims: [], citations: []}
+        : parseCitedAnswer(finalAnswer, finalSource === 'extractive-fallback' ? passages : sources, pageLang);
+      const entry = {question, answer: cited.answer, claims: cited.claims, citations: cited.citations, at: Date.now(), source: finalSource, thread};
+      if (finalModel) entry.model = finalModel;
+      if (confidence !== null) entry.confidence = confidence;
+      await saveEntry(entry);
+
+      return {status:'ok', answer: cited.answer, claims: cited.claims, citations: cited.citations, source: finalSource, model: finalModel, confidence, modelStatus};
+    }
+  } catch (err) {
+    if (err && err.cancelled) return {status:'cancelled', message: err.message};
+    return {status:'error', message: err && err.message ? err.message : String(err)};
+  }
+}
+
+// Context-menu actions on the selected text. Each has a prompt and an extractive fallback;
+// results are shown in a floating card that content_script.js anchors to the selection.
+const SELECTION_ACTIONS = {
+  summarize: {
+    menuTitle: i18n('menuSummarizeSelection'),
+    cardTitle: i18n('cardSummarizeTitle'),
+    prompt: (text, language) => `Summarize the following text into at most 4 concise bullet points, each on its own line starting with "- ".${language ? ` Write in ${language}.` : ''}\n\nText:\n${text}`
+  },
+  explain: {
+    menuTitle: i18n('menuExplainSelection'),
+    cardTitle: i18n('cardExplainTitle'),
+    prompt: (text, language) => `Explain the following text in simple terms that someone without background knowledge can understand. Use a short paragraph and everyday words.${language ? ` Write in ${language}.` : ''}\n\nText:\n${text}`
+  },
+  define: {
+    menuTitle: i18n('menuDefineSelection'),
+    cardTitle: i18n('cardDefineTitle'),
+    prompt: (text, language) => `List the technical terms, jargon, acronyms and names in the following text and define each one briefly. Put each on its own line as "- Term: definition".${language ? ` Write the definitions in ${language}.` : ''}\n\nText:\n${text}`
+  }
+};
+
+// Terms worth defining: acronyms, capitalized phrases not at sentence start and long words
+function pickSelectionTerms(text, max = 6) {
+  const terms = [];
+  const add = (t) => { t = t.trim(); if (t && !terms.some(x => x.toLowerCase() === t.toLowerCase())) terms.push(t); };
+  for (const m of text.matchAll(/\b[A-Z]{2,}[a-z]?s?\b/g)) add(m[0]);
+  for (const m of text.matchAll(/(?<=[a-z,;:] )[A-Z][a-z]+(?: [A-Z][a-z]+)*/g)) add(m[0]);
+  const words = text.match(/\b[a-z]{11,}\b/gi) || [];
+  for (const w of words.sort((a, b) => b.length - a.length)) add(w);
+  return terms.slice(0, max);
+}
+
+// Extractive fallback for a selection action. `pageText` is used to look up definitions.
+function selectionFallback(kind, selection, pageText) {
+  if (kind === 'summarize') {
+    return parseSummaryResponse(extractiveSummarizeStyled(selection, resolveSummaryOptions('takeaways', 'short', {bullets: 6, highlights: 0}))).bullets.map(b => `- ${b}`).join('\n');
+  }
+  if (kind === 'explain') {
+    // without a model, the best we can do is point at the selection's central sentences
+    const core = summarizeExtractive(selection, 2, 0, {order: 'document'}).bullets;
+    return i18n('fallbackExplain') + '\n' + core.map(s => `- ${s}`).join('\n');
+  }
+  // define: find a sentence on the page that reads like a definition of each term
+  const sents = stripStructureMarkers(pageText + ' ' + selection).replace(/\s+/g, ' ').split(/(?<=[.!?])\s+/);
+  const lines = [];
+  for (const term of pickSelectionTerms(selection)) {
+    const escaped = term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    const def = new RegExp(`\\b${escaped}\\b[^.]{0,40}\\b(is|are|means|refers to|stands for|describes)\\b`, 'i');
+    const hit = sents.find(s => def.test(s)) || sents.find(s => new RegExp(`\\(${escaped}\\)|${escaped} \\(`).test(s));
+    if (hit) lines.push(`- ${term}: ${hit.trim()}`);
+  }
+  return lines.length ? lines.join('\n') : i18n('fallbackNoDefinitions');
+}
+
+function sendSelectionCard(tabId, frameId, card) {
+  chrome.tabs.sendMessage(tabId, Object.assign({action: 'show_selection_card'}, card), {frameId}, () => {
+    // ignore pages where the content script isn't available
+    void chrome.runtime.lastError;
+  });
+}
 
-        return sendResponse({status:'ok', answer: finalAnswer, source: finalSource});
+// Run a selection action and show progress and the result in the page's selection card
+async function runSelectionAction(tab, frameId, kind, selectionText) {
+  const action = SELECTION_ACTIONS[kind];
+  sendSelectionCard(tab.id, frameId, {state: 'loading', title: action.cardTitle});
+  try {
+    const settings = await loadSettings();
+    if (tab.url && isDomainExcluded(settings, tab.url)) {
+      return sendSelectionCard(tab.id, frameId, {state: 'error', title: action.cardTitle, text: i18n('errSiteExcludedShort')});
+    }
+    const language = outputLanguageName(settings);
+    const selection = String(selectionText).slice(0, 200000);
+    let result;
+    try {
+      if (kind === 'summarize' && estimateTokens(selection) > PROMPT_TOKEN_BUDGET) {
+        const options = resolveSummaryOptions('takeaways', 'medium', {bullets: 4, highlights: 0, language, languageCode: outputLanguageCode(settings)});
+        const res = await summarizeContent(tab.id, selection, options);
+        result = {text: parseSummaryResponse(res.text).bullets.map(b => `- ${b}`).join('\n'), source: res.source, model: res.model};
+      } else {
+        // explain/define work on local context; keep the prompt inside the model's window
+        const clipped = selection.slice(0, PROMPT_TOKEN_BUDGET * 4);
+        result = await generateText(tab.id, action.prompt(clipped, language), {temperature:0.2, maxOutputTokens:400, purpose: 'selection', settings});
       }
     } catch (err) {
-      return sendResponse({status:'error', message: err && err.message ? err.message : String(err)});
+      if (!settings.extractiveFallback) throw err;
+      const extracted = kind === 'define' ? await extractPageText(tab.id, settings.rawExtraction) : {text: ''};
+      result = {text: selectionFallback(kind, selection, extracted.ok ? extracted.text : ''), source: 'extractive-fallback'};
     }
-  })();
+    sendSelectionCard(tab.id, frameId, {state: 'done', title: action.cardTitle, text: result.text, source: result.source, model: result.model});
+  } catch (err) {
+    sendSelectionCard(tab.id, frameId, {state: 'error', title: action.cardTitle, text: i18n('aiErrorPrefix', err && err.message ? err.message : String(err))});
+  }
+}
+
+// warm model sessions belong to a tab (see providers.js)
+chrome.tabs.onRemoved.addListener((tabId) => releaseTabProviders(tabId));
+// provider settings (the endpoint, the mock scenario) change what is available
+onSettingsChanged(() => forgetAvailability());
+
+// Which provider would answer for a tab and whether its model is on this device; the popup asks
+// when it opens (and with `refresh` after downloading a model)
+chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+  if (!message || message.action !== 'model_status') return;
+  if (message.refresh) forgetAvailability();
+  loadSettings()
+    .then(settings => preferredProviderStatus(message.tabId, settings))
+    .then(model => sendResponse({status:'ok', model}))
+    .catch(err => sendResponse({status:'error', message: err && err.message ? err.message : String(err)}));
+  return true;
+});
+
+// A summarize/ask request with the tab it is for and, for summaries, the style and length it runs
+// with (settings fill in what the message leaves out), as startJob keys jobs on them (see jobKey)
+async function resolveJobRequest(message) {
+  const resolved = Object.assign({}, message);
+  if (!resolved.tabId) {
+    const tabs = await chrome.tabs.query({active:true, currentWindow:true});
+    if (tabs && tabs[0]) resolved.tabId = tabs[0].id;
+  }
+  if (resolved.action === 'summarize') {
+    const settings = await loadSettings();
+    const options = resolveSummaryOptions(message.style || settings.summaryStyle, message.length || settings.summaryLength);
+    resolved.style = options.style;
+    resolved.length = options.length;
+  }
+  return resolved;
+}
+
+// One-shot request/response (kept for callers that don't need streaming); runs as a job like
+// the streamed requests, so it shares work with an identical one already running (summaries also
+// show on the badge, see auto_summarize.js)
+chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+  if (!message || (message.action !== 'summarize' && message.action !== 'ask')) return;
+  resolveJobRequest(message).then((resolved) => {
+    attachJob(startJob(resolved, runBadgedRequest), (event) => {
+      if (event.type === 'done') sendResponse(event.response);
+    });
+  }).catch(err => sendResponse({status:'error', message: err && err.message ? err.message : String(err)}));
   return true; // keep channel open for async
 });
+
+// Streaming channel: the popup connects a 'rifcare-stream' port and posts one message:
+// - a summarize/ask request, which starts a job (or joins the identical one running, see jobs.js)
+// - {action:'attach', tabId, job?}, which reattaches to the tab's job, or its job of that action
+//   ({status:'none'} if there is none)
+// {type:'job', id, request} names the job first, its events follow (replayed from the start when
+// attaching), a heartbeat every few seconds tells the popup the job is still running while it waits
+// for a queued or non-streaming model call (each call has a deadline, see queueModelCall), and
+// {type:'done', response} ends it. {action:'cancel', jobId} cancels the job; closing the port only
+// stops listening, so the popup can reattach when it's reopened.
+const STREAM_HEARTBEAT_MS = 5000;
+chrome.runtime.onConnect.addListener((port) => {
+  if (port.name !== 'rifcare-stream') return;
+  let open = true;
+  let detach = () => {};
+  let heartbeat = null;
+  port.onDisconnect.addListener(() => {
+    open = false;
+    detach();
+    clearInterval(heartbeat);
+  });
+  const post = (event) => {
+    if (!open) return;
+    try { port.postMessage(event); } catch (e) { open = false; }
+  };
+  port.onMessage.addListener(async (message) => {
+    if (message && message.action === 'cancel') return cancelJob(message.jobId);
+    let job;
+    if (message && message.action === 'attach') {
+      job = findTabJob(message.tabId, message.job);
+      if (!job) return post({type:'done', response: {status:'none'}});
+    } else if (message && (message.action === 'summarize' || message.action === 'ask')) {
+      job = startJob(await resolveJobRequest(message), runBadgedRequest);
+      // the popup closed meanwhile: the job runs on for it to reattach to
+      if (!open) return;
+    } else {
+      return post({type:'done', response: {status:'error', message: i18n('errUnsupportedAction')}});
+    }
+    post({type:'job', id: job.id, request: job.request});
+    heartbeat = setInterval(() => post({type:'heartbeat'}), STREAM_HEARTBEAT_MS);
+    detach = attachJob(job, (event) => {
+      post(event);
+      if (event.type === 'done') clearInterval(heartbeat);
+    });
+  });
+});
@@ -0,0 +1,78 @@
+// chunker.js — token-budget-aware splitting of page text (loaded by background.js via importScripts)
+// Text produced by extractor.js marks headings as "# Heading" lines and separates paragraphs
+// with blank lines; chunks are aligned to those boundaries whenever possible.
+
+// Rough token estimate: on-device models average ~4 characters per token for Latin text.
+// CJK and other scripts without spaces are closer to 1 character per token.
+function estimateTokens(text) {
+  const s = String(text || '');
+  if (!s) return 0;
+  const wide = (s.match(/[\u3000-\u9fff\uac00-\ud7af]/g) || []).length;
+  return Math.ceil((s.length - wide) / 4) + wide;
+}
+
+// Split text into sections, each starting at a heading line
+function splitIntoSections(text) {
+  const sections = [];
+  let current = {heading: '', lines: []};
+  for (const line of String(text || '').split('\n')) {
+    if (/^#{1,6}\s/.test(line)) {
+      if (current.heading || current.lines.some(l => l.trim())) sections.push(current);
+      current = {heading: line.replace(/^#{1,6}\s+/, '').trim(), lines: [line]};
+    } else {
+      current.lines.push(line);
+    }
+  }
+  if (current.heading || current.lines.some(l => l.trim())) sections.push(current);
+  return sections.map(s => ({heading: s.heading, text: s.lines.join('\n').trim()}));
+}
+
+// Break a piece of text that is too large on its own: paragraphs first, then sentences,
+// then a hard character split as last resort.
+function splitOversized(text, maxTokens) {
+  const pieces = [];
+  const pack = (units, joiner, next) => {
+    let buf = '';
+    for (const unit of units) {
+      if (estimateTokens(unit) > maxTokens) {
+        if (buf) { pieces.push(buf); buf = ''; }
+        next(unit);
+        continue;
+      }
+      const candidate = buf ? buf + joiner + unit : unit;
+      if (estimateTokens(candidate) > maxTokens) { pieces.push(buf); buf = unit; }
+      else buf = candidate;
+    }
+    if (buf) pieces.push(buf);
+  };
+  const hardSplit = (unit) => {
+    const size = maxTokens * 4;
+    for (let i = 0; i < unit.length; i += size) pieces.push(unit.slice(i, i + size));
+  };
+  const bySentence = (unit) => pack(unit.split(/(?<=[.!?。！？])\s+/), ' ', hardSplit);
+  pack(text.split(/\n\s*\n/), '\n\n', bySentence);
+  return pieces.filter(p => p.trim());
+}
+
+// Split text into chunks of at most maxTokens (estimated), aligned to sections.
+// Returns [{text, headings: [...]}] in document order.
+function chunkText(text, maxTokens) {
+  const chunks = [];
+  let current = null;
+  const push = () => { if (current && current.text.trim()) chunks.push(current); current = null; };
+  for (const section of splitIntoSections(text)) {
+    if (estimateTokens(section.text) > maxTokens) {
+      push();
+      for (const piece of splitOversized(section.text, maxTokens)) {
+        chunks.push({text: piece, headings: section.heading ? [section.heading] : []});
+      }
+      continue;
+    }
+    if (current && estimateTokens(current.text + '\n\n' + section.text) > maxTokens) push();
+    if (!current) current = {text: '', headings: []};
+    current.text = current.text ? current.text + '\n\n' + section.text : section.text;
+    if (section.heading) current.headings.push(section.heading);
+  }
+  push();
+  return chunks;
+}
@@ -0,0 +1,77 @@
+// citations.js — numbered source passages for grounded answers (loaded by background.js via importScripts)
+// Requires language.js and retrieval.js (splitPassages, analyzeText). The page text is cut into
+// short passages that are sent to the model as "[n] ..." lines. The answer cites them inline
+// ("... [2][5]"); parseCitedAnswer checks every claim against the passages it cites and flags
+// the claims nothing on the page supports.
+
+// Share of a claim's words that must appear in its passages for the claim to count as supported
+const CITATION_SUPPORT_THRESHOLD = 0.5;
+
+function formatPassages(passages) {
+  return passages.map(p => `[${p.id}] ${p.text}`).join('\n');
+}
+
+// Share of the claim's words found in the given passages
+function claimSupport(claimTokens, passages, lang) {
+  if (!claimTokens.length || !passages.length) return 0;
+  const words = new Set();
+  for (const p of passages) for (const w of analyzeText(p.text, lang)) words.add(w);
+  return claimTokens.filter(w => words.has(w)).length / claimTokens.length;
+}
+
+// Split a (cited) model answer into claims: one per sentence or bullet line
+function splitClaims(raw) {
+  const claims = [];
+  for (const line of String(raw || '').split('\n')) {
+    const bullet = /^\s*[-*•]\s+/.test(line);
+    const body = line.replace(/^\s*[-*•]\s+/, '').trim();
+    if (!body) continue;
+    // markers belong to the sentence before them: "... rose 5% [2]. Next ..." or "... 5%. [2] Next"
+    const parts = body.split(new RegExp(`(?<=[${SENTENCE_END}](?:\\s*\\[[\\d,\\s]+\\])*)\\s+(?!\\[)`));
+    parts.forEach((text, i) => claims.push({text, bullet: bullet && i === 0}));
+  }
+  return claims;
+}
+
+// Check a model answer against the passages it was given. Returns
+//   {answer, claims: [{text, refs, supported, bullet}], citations: [{n, id, text}]}
+// where `answer` is the plain text without markers, refs are citation numbers (1..k, in order of
+// first use) and supported is false for claims no passage backs up (null when the claim is too
+// short to judge, e.g. "Yes."). Cited passages that don't contain the claim are replaced by the
+// best matching passage, if there is one.
+function parseCitedAnswer(raw, passages, lang = 'en') {
+  const byId = new Map(passages.map(p => [p.id, p]));
+  const citations = [];
+  const citationNumber = (p) => {
+    let c = citations.find(c => c.id === p.id);
+    if (!c) { c = {n: citations.length + 1, id: p.id, text: p.text}; citations.push(c); }
+    return c.n;
+  };
+  const claims = [];
+  for (const part of splitClaims(raw)) {
+    const cited = [];
+    for (const m of part.text.matchAll(/\[([\d,\s]+)\]/g)) {
+      for (const id of m[1].split(/[,\s]+/).map(Number)) if (byId.has(id) && !cited.includes(byId.get(id))) cited.push(byId.get(id));
+    }
+    const text = part.text.replace(/\s*\[[\d,\s]+\]/g, '').trim();
+    if (!text) continue;
+    const tokens = analyzeText(text, lang);
+    let sources = cited;
+    let supported = null;
+    if (tokens.length >= 2) {
+      supported = claimSupport(tokens, cited, lang) >= CITATION_SUPPORT_THRESHOLD;
+      if (!supported) {
+        let best = null;
+        for (const p of passages) {
+          const score = claimSupport(tokens, [p], lang);
+          if (score >= CITATION_SUPPORT_THRESHOLD && (!best || score > best.score)) best = {p, score};
+        }
+        if (best) { sources = [best.p]; supported = true; }
+        else sources = [];
+      }
+    }
+    claims.push({text, refs: sources.map(citationNumber), supported, bullet: part.bullet});
+  }
+  const answer = claims.map((c, i) => (c.bullet ? (i ? '\n' : '') + '- ' : (i ? ' ' : '')) + c.text).join('');
+  return {answer, claims, citations};
+}
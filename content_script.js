@@ -1,147 +1,103 @@
 // content_script.js
-// Listens for messages to extract page text, summarize using built-in AI, highlight sentences, and answer questions.
-
-// Utility: get visible text from the page
-function getVisibleText() {
-  // Use body innerText to approximate visible text
-  return document.body ? document.body.innerText : '';
-}
-
-// Highlight sentences by wrapping in span.highlighted
-function highlightSentences(sentences) {
-  // Remove previous highlights
-  removeHighlights();
-
-  const walker = document.createTreeWalker(document.body, NodeFilter.SHOW_TEXT, null, false);
-  const textNodes = [];
-  while (walker.nextNode()) textNodes.push(walker.currentNode);
-
-  const sentenceSet = new Set(sentences.map(s => s.trim()).filter(Boolean));
-  let highlights = 0;
-
-  for (const node of textNodes) {
-    if (highlights >= sentences.length) break;
-    const text = node.textContent;
-    for (const sentence of sentenceSet) {
-      const idx = text.indexOf(sentence);
-      if (idx !== -1) {
-        const before = document.createTextNode(text.slice(0, idx));
-        const span = document.createElement('span');
-        span.className = 'rifcare-highlight';
-        span.style.background = 'yellow';
-        span.style.borderRadius = '3px';
-        span.textContent = sentence;
-        const after = document.createTextNode(text.slice(idx + sentence.length));
-        const parent = node.parentNode;
-        parent.insertBefore(before, node);
-        parent.insertBefore(span, node);
-        parent.insertBefore(after, node);
-        parent.removeChild(node);
-        highlights++;
-        sentenceSet.delete(sentence);
-        break;
-      }
-    }
-  }
-}
-
-// Remove any existing highlights inserted by this extension
-function removeHighlights() {
-  const els = Array.from(document.querySelectorAll('.rifcare-highlight'));
-  for (const el of els) {
-    try {
-      const parent = el.parentNode;
-      if (!parent) continue;
-      parent.replaceChild(document.createTextNode(el.textContent), el);
-      parent.normalize();
-    } catch (e) { /* ignore */ }
-  }
-}
+// Listens for messages to extract page text, highlight sentences and run the built-in AI APIs for the background.
 
 // Content script responsibilities:
 // - extract visible page text
 // - apply highlights on the page when requested
-// - store/read small page-local data via chrome.storage.local (optional)
+// - store/read this page's saved summary (see storage.js)
 
-// Extract visible text from page (safe, quick)
-function extractPageText() {
-  return document.body ? document.body.innerText || '' : '';
+// Extract page text. By default only the main article (see extractor.js) is returned;
+// `raw` keeps the old whole-body behavior for pages the extractor gets wrong. Either way `frames`
+// lists the content iframes, whose text the background adds (see extractPageText there).
+function extractPageText(raw) {
+  if (raw) return {text: extractRawText(document), title: document.title || '', byline: '', published: '', lang: document.documentElement.lang || '', canonical: extractCanonicalUrl(document), frames: extractFrameUrls(document)};
+  return extractMainContent(document);
 }
 
-// Local extractive summarizer used as fallback when AI is unavailable.
-// Returns an object: { bullets: [...], highlights: [...], raw: 'formatted string' }
-async function summarizeText(raw, maxBullets = 4, maxHighlights = 4) {
-  if (!raw) return {bullets: [], highlights: [], raw: ''};
-  const text = String(raw).replace(/\s+/g, ' ');
-  const sents = text.split(/(?<=[.!?])\s+/).map(s => s.trim()).filter(Boolean);
-  if (!sents.length) return {bullets: [], highlights: [], raw: ''};
-
-  const stop = new Set(['the','and','is','in','to','of','a','that','it','for','on','with','as','are','was','by','an','be','this','or','from','at','which','you']);
-  const freqs = Object.create(null);
-  for (const s of sents) {
-    const words = s.toLowerCase().replace(/[^a-z0-9\s]/g,'').split(/\s+/).filter(Boolean);
-    for (const w of words) { if (!stop.has(w)) freqs[w] = (freqs[w] || 0) + 1; }
-  }
-  const scored = sents.map(s => {
-    const words = s.toLowerCase().replace(/[^a-z0-9\s]/g,'').split(/\s+/).filter(Boolean);
-    let score = 0; for (const w of words) if (freqs[w]) score += freqs[w];
-    return {s, score};
-  });
-  scored.sort((a,b)=>b.score - a.score);
-  const bullets = scored.slice(0, maxBullets).map(x => x.s.replace(/\s+/g,' ').trim());
-  const highlights = [];
-  for (const item of scored) {
-    if (highlights.length >= maxHighlights) break;
-    if (bullets.includes(item.s)) continue;
-    if (item.s.split(' ').length < 6) continue;
-    highlights.push(item.s);
-  }
-  while (highlights.length < Math.min(maxHighlights, bullets.length)) highlights.push(bullets[highlights.length] || '');
-
-  const bulletsText = bullets.map(b => `- ${b}`).join('\n');
-  const highlightsText = highlights.map(h => h).join('\n');
-  const rawOut = bulletsText + '\n\n===HIGHLIGHTS===\n' + highlightsText;
-  return {bullets, highlights, raw: rawOut};
+// Storage key of this page (see pageKey in storage.js)
+function currentPageKey() {
+  return pageKey(location.href, extractCanonicalUrl(document));
 }
 
-// Simple QA: find best matching sentence(s) by keyword overlap with the question
-async function answerQuestion(pageText, question) {
+// On-device translation (Translator API, Chrome 138+; earlier builds exposed
+// translation.createTranslator). It only exists in window contexts, so the background
+// asks the page to translate. Rejects when no translator is available for the pair.
+async function translateTexts(texts, source, target) {
+  const opts = {sourceLanguage: source, targetLanguage: target};
+  let translator;
+  if (typeof Translator !== 'undefined' && Translator.create) {
+    if (Translator.availability && await Translator.availability(opts) === 'unavailable') throw new Error(`No on-device translator for ${source} → ${target}`);
+    translator = await Translator.create(opts);
+  } else if (typeof translation !== 'undefined' && translation.createTranslator) {
+    translator = await translation.createTranslator(opts);
+  } else {
+    throw new Error('On-device translation is not available');
+  }
   try {
-    const cleanQ = String(question || '').toLowerCase().replace(/[^a-z0-9\s]/g,'');
-    const qWords = cleanQ.split(/\s+/).filter(w => w.length>2);
-    const sents = String(pageText || '').replace(/\s+/g,' ').split(/(?<=[.!?])\s+/).map(s=>s.trim()).filter(Boolean);
-    if (!sents.length) return {answer: 'No content to answer from.', fallbackUsed:true};
-
-    const scores = sents.map(s => {
-      const lw = s.toLowerCase();
-      let score = 0;
-      for (const w of qWords) if (lw.includes(w)) score += 1;
-      return {s, score};
-    });
-    scores.sort((a,b)=>b.score - a.score);
-    const best = scores[0];
-    if (best && best.score > 0) return {answer: best.s, fallbackUsed:true};
-
-    // fallback: return first meaningful paragraph or sentence
-    const first = sents.find(s => s.split(' ').length > 6) || sents[0] || '';
-    return {answer: first, fallbackUsed:true};
-  } catch (err) {
-    return {answer: 'Failed to generate answer: '+(err && err.message), fallbackUsed:true};
+    const out = [];
+    for (const text of texts) out.push(await translator.translate(String(text)));
+    return out;
+  } finally {
+    if (translator.destroy) translator.destroy();
   }
 }
 
-// Message handler: only handle extraction and highlighting/storage operations. No AI calls here.
+// Message handler: extraction, highlighting, storage, and the built-in AI APIs the background can't reach
 chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
   try {
     if (message.action === 'extract_page') {
-      const text = extractPageText();
-      sendResponse({status:'ok', text});
+      const page = extractPageText(!!message.raw);
+      sendResponse({status:'ok', text: page.text, title: page.title, byline: page.byline, published: page.published, lang: page.lang, canonical: page.canonical, frames: page.frames, contentType: document.contentType});
+      return true;
+    }
+
+    if (message.action === 'page_info') {
+      sendResponse({status:'ok', url: location.href, canonical: extractCanonicalUrl(document), title: document.title || ''});
       return true;
     }
 
     if (message.action === 'highlight_sentences') {
       const sentences = Array.isArray(message.sentences) ? message.sentences : [];
-      highlightSentences(sentences.slice(0,5));
+      const results = highlightSentences(sentences.slice(0,8));
+      sendResponse({status:'ok', results});
+      return true;
+    }
+
+    if (message.action === 'translate_text') {
+      translateTexts(Array.isArray(message.texts) ? message.texts : [], message.source, message.target)
+        .then(texts => sendResponse({status:'ok', texts}))
+        .catch(err => sendResponse({status:'error', message: err && err.message ? err.message : String(err)}));
+      return true;
+    }
+
+    // the background's built-in AI providers, when the APIs only exist in window contexts (providers.js)
+    if (message.action === 'builtin_ai') {
+      runBuiltinModel(message.kind, message.request || {})
+        .then(text => sendResponse({status:'ok', text}))
+        .catch(err => sendResponse({status:'error', message: err && err.message ? err.message : String(err)}));
+      return true;
+    }
+
+    if (message.action === 'builtin_availability') {
+      builtinAvailability(message.kind).then(availability => sendResponse({status:'ok', availability}));
+      return true;
+    }
+
+    if (message.action === 'highlight_citation') {
+      const found = highlightCitation(String(message.quote || ''));
+      sendResponse({status:'ok', found});
+      return true;
+    }
+
+    if (message.action === 'show_selection_card') {
+      showSelectionCard(message);
+      sendResponse({status:'ok'});
+      return true;
+    }
+
+    // the background saved a summary of this page
+    if (message.action === 'restore_highlights') {
+      restoreStoredHighlights();
       sendResponse({status:'ok'});
       return true;
     }
@@ -153,13 +109,9 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
     }
 
     if (message.action === 'store_summary') {
-      const url = location.href;
-      const data = message.data || {};
-      const obj = {};
-      obj[url] = data;
-      chrome.storage.local.set(obj, () => {
-        sendResponse({status:'ok'});
-      });
+      savePageSummary(currentPageKey(), message.data || {}, {title: document.title})
+        .then(() => sendResponse({status:'ok'}))
+        .catch(err => sendResponse({status:'error', message: err && err.message ? err.message : String(err)}));
       return true;
     }
   } catch (err) {
@@ -170,110 +122,137 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
   // unhandled
 });
 
-// Message handler
-chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
-  (async () => {
-    try {
-      if (message.action === 'extract_and_summarize') {
-        const text = getVisibleText();
-        const url = location.href;
-        let result;
-        if (message.mock) {
-          // Provide a deterministic fake summary for testing
-          const fake = {
-            bullets: [
-              'This page explains the main idea in 3-5 short points.',
-              'Important architecture or workflow details are discussed.',
-              'Major benefits and trade-offs are highlighted.',
-              'Next steps and contact information are provided.'
-            ],
-            highlights: [
-              'This is a highlight sentence one.',
-              'This is a highlight sentence two.',
-              'This is a highlight sentence three.'
-            ],
-            raw: 'FAKE_SUMMARY'
-          };
-          result = fake;
-        } else {
-          try {
-            result = await summarizeText(text.slice(0, 200000)); // limit
-          } catch (err) {
-            // Try explicit background fallback
-            const prompt = `Summarize the following webpage content into 4 concise bullet points and provide 4 highlight-worthy sentences (exact sentence text). Separate bullets with "\n- " and highlight sentences after a delimiter "===HIGHLIGHTS===\n" followed by each sentence on its own line. Content:\n\n${text}`;
-            const bgResp = await new Promise((resolve) => {
-              try {
-                chrome.runtime.sendMessage({action:'call_gemini', prompt, options:{temperature:0.2}}, (r) => {
-                  if (chrome.runtime.lastError) return resolve(null);
-                  resolve(r);
-                });
-              } catch (e) { resolve(null); }
-            });
-            if (bgResp && bgResp.status === 'ok') {
-              const raw = String(bgResp.text || '');
-              const [bulletsPart, highlightsPart] = raw.split('===HIGHLIGHTS===');
-              const bullets = (bulletsPart || '').split(/\n|\r/).map(l=>l.replace(/^-\s*/, '').trim()).filter(Boolean);
-              const highlights = (highlightsPart || '').split(/\n|\r/).map(l=>l.trim()).filter(Boolean).slice(0,5);
-              result = {bullets, highlights, raw, fallbackUsed: !!bgResp.usedBackground};
-            } else {
-              throw err;
-            }
-          }
-        }
-        // highlight sentences on page
-        highlightSentences(result.highlights.slice(0,5));
-        // store summary in chrome.storage.local keyed by URL
-        const data = {summary: result.bullets, highlights: result.highlights, raw: result.raw, updated: Date.now()};
-        const storeObj = {};
-        storeObj[url] = data;
-        chrome.storage.local.set(storeObj, () => {
-          sendResponse({status: 'ok', data, fallbackUsed: !!result.fallbackUsed});
-        });
-      } else if (message.action === 'ask_question') {
-        const text = getVisibleText();
-        if (message.mock) {
-          const answer = `MOCK ANSWER: I can't access Gemini here, but this is a simulated response to: "${message.question}"`;
-          const key = 'qa_history_' + location.href;
-          chrome.storage.local.get([key], (res) => {
-            const hist = res[key] || [];
-            hist.push({question: message.question, answer, at: Date.now()});
-            const o = {};
-            o[key] = hist;
-            chrome.storage.local.set(o, ()=>{});
-            sendResponse({status:'ok', answer, fallbackUsed:false});
-          });
-        } else {
-          try {
-            const ansObj = await answerQuestion(text.slice(0,200000), message.question);
-            const answer = ansObj && ansObj.answer ? ansObj.answer : ansObj;
-            const fallbackUsed = !!(ansObj && ansObj.fallbackUsed);
-            // store QA in history
-            const key = 'qa_history_' + location.href;
-            chrome.storage.local.get([key], (res) => {
-              const hist = res[key] || [];
-              hist.push({question: message.question, answer, at: Date.now()});
-              const o = {};
-              o[key] = hist;
-              chrome.storage.local.set(o, ()=>{});
-              sendResponse({status:'ok', answer, fallbackUsed});
-            });
-          } catch (err) {
-            sendResponse({status: 'error', message: err && err.message ? err.message : String(err)});
-          }
-        }
-      }
-    } catch (err) {
-      console.error(err);
-      sendResponse({status: 'error', message: err.message});
+// Restore the highlights saved with this page's summary. Anchors (quote + prefix/suffix + position)
+// survive minor page edits; the ones that can't be found are flagged as orphaned in storage rather
+// than dropped. Entries saved before anchors existed only have `highlights` and are upgraded here.
+// Late-rendering pages get one retry before anything is marked orphaned.
+function restoreStoredHighlights(retry = true) {
+  const key = currentPageKey();
+  loadPageSummary(key).then((data) => {
+    if (!data) return;
+    const anchors = Array.isArray(data.anchors) && data.anchors.length
+      ? data.anchors
+      : (Array.isArray(data.highlights) ? data.highlights.map(h => ({sentence: h, quote: h})) : []);
+    if (!anchors.length) return;
+    const updated = highlightAnchors(anchors);
+    if (retry && updated.some(a => a.orphaned)) {
+      setTimeout(() => restoreStoredHighlights(false), 1500);
+      return;
     }
-  })();
-  return true; // indicate async response
-});
+    if (JSON.stringify(updated) === JSON.stringify(data.anchors)) return;
+    updatePageSummary(key, {anchors: updated});
+  }).catch(() => { /* storage unavailable: nothing to restore */ });
+}
 
-// Expose a minimal style for highlights
+// Expose a minimal style for highlights (colour from the highlightColor setting)
 const style = document.createElement('style');
-style.textContent = `.rifcare-highlight{background:yellow;padding:2px;border-radius:3px}`;
-document.head.appendChild(style);
+function applyHighlightColor(color) {
+  style.textContent = `.rifcare-highlight{background:${color};border-radius:3px}::highlight(rifcare){background-color:${color}}`
+    + '.rifcare-citation{background:#ffb74d;border-radius:3px}::highlight(rifcare-citation){background-color:#ffb74d}';
+  // shadow roots and frames holding highlights have their own copy (see highlighter.js)
+  setHighlightCss(style.textContent);
+}
+applyHighlightColor(SETTINGS_SCHEMA.highlightColor.default);
+(document.head || document.documentElement).appendChild(style);
+
+loadSettings().then((settings) => {
+  applyHighlightColor(settings.highlightColor);
+  if (!isDomainExcluded(settings, location.href)) restoreStoredHighlights();
+});
+onSettingsChanged((settings) => {
+  applyHighlightColor(settings.highlightColor);
+  if (isDomainExcluded(settings, location.href)) removeHighlights();
+});
+
+// Selection card: floating result card for the "… selection" context-menu actions, anchored
+// below the selected text. Rendered in a shadow root so page CSS can't restyle it.
+const selectionCardId = 'rifcare-selection-card';
+let selectionCardAnchor = null;
+
+function selectionAnchorRect() {
+  const sel = window.getSelection();
+  if (!sel || !sel.rangeCount) return null;
+  const rect = sel.getRangeAt(0).getBoundingClientRect();
+  if (!rect.width && !rect.height) return null;
+  return {left: rect.left + window.scrollX, top: rect.bottom + window.scrollY, width: rect.width};
+}
+
+function removeSelectionCard() {
+  const el = document.getElementById(selectionCardId);
+  if (el) el.remove();
+  document.removeEventListener('mousedown', onSelectionCardOutsideClick, true);
+  document.removeEventListener('keydown', onSelectionCardKey, true);
+}
+function onSelectionCardOutsideClick(ev) {
+  const host = document.getElementById(selectionCardId);
+  if (host && !ev.composedPath().includes(host)) removeSelectionCard();
+}
+function onSelectionCardKey(ev) {
+  if (ev.key === 'Escape') removeSelectionCard();
+}
+
+// card: {state: 'loading'|'done'|'error', title, text, source, model}
+function showSelectionCard(card) {
+  // the selection is read when the action starts; later updates reuse that position
+  if (card.state === 'loading' || !selectionCardAnchor) selectionCardAnchor = selectionAnchorRect() || {left: window.scrollX + 24, top: window.scrollY + 24, width: 0};
+  let host = document.getElementById(selectionCardId);
+  if (!host) {
+    host = document.createElement('div');
+    host.id = selectionCardId;
+    host.attachShadow({mode: 'open'});
+    document.body.appendChild(host);
+    document.addEventListener('mousedown', onSelectionCardOutsideClick, true);
+    document.addEventListener('keydown', onSelectionCardKey, true);
+  }
+  const width = 360;
+  // right-to-left UIs line the card up with the selection's right edge
+  const start = uiDirection() === 'rtl' ? selectionCardAnchor.left + selectionCardAnchor.width - width : selectionCardAnchor.left;
+  const left = Math.max(window.scrollX + 8, Math.min(start, window.scrollX + document.documentElement.clientWidth - width - 8));
+  host.style.cssText = `position:absolute;left:${left}px;top:${selectionCardAnchor.top + 8}px;z-index:2147483647;`;
+
+  const root = host.shadowRoot;
+  root.innerHTML = `<style>
+    .card{width:${width}px;max-height:50vh;overflow:auto;background:#fff;color:#0f172a;border-radius:12px;box-shadow:0 12px 36px rgba(2,6,23,0.25);border:1px solid rgba(15,23,42,0.08);font:13px/1.5 Inter,system-ui,-apple-system,Segoe UI,Roboto,Arial,sans-serif;padding:12px 14px}
+    .head{display:flex;justify-content:space-between;align-items:center;margin-bottom:6px}
+    .title{font-weight:700;font-size:13px}
+    .close{appearance:none;border:0;background:transparent;font-size:16px;cursor:pointer;color:#6b7280}
+    ul{margin:0;padding-inline-start:18px}
+    p{margin:0 0 6px}
+    .muted{color:#6b7280;font-size:12px}
+    .error{color:#dc2626}
+  </style><div class="card" role="dialog"><div class="head"><div class="title"></div><button class="close">×</button></div><div class="body"></div><div class="muted source"></div></div>`;
+  root.querySelector('.card').dir = uiDirection();
+  root.querySelector('.title').textContent = card.title || i18n('appName');
+  root.querySelector('.close').title = i18n('cardClose');
+  root.querySelector('.close').addEventListener('click', removeSelectionCard);
+  const body = root.querySelector('.body');
+  if (card.state === 'loading') {
+    body.innerHTML = '<span class="muted"></span>';
+    body.firstChild.textContent = i18n('cardWorking');
+    return;
+  }
+  if (card.state === 'error') {
+    body.innerHTML = '<p class="error"></p>';
+    body.firstChild.textContent = card.text || i18n('cardError');
+    return;
+  }
+  // "- " lines become a list, anything else a paragraph
+  let list = null;
+  for (const line of String(card.text || '').split(/\n+/).map(l => l.trim()).filter(Boolean)) {
+    if (/^[-*•]\s+/.test(line)) {
+      if (!list) { list = document.createElement('ul'); body.appendChild(list); }
+      const li = document.createElement('li');
+      li.textContent = line.replace(/^[-*•]\s+/, '');
+      list.appendChild(li);
+    } else {
+      list = null;
+      const para = document.createElement('p');
+      para.textContent = line;
+      body.appendChild(para);
+    }
+  }
+  root.querySelector('.source').textContent = card.source ? i18n('sourceLabel', providerName(card.source, card.model)) : '';
+}
 
 // Mock-mode banner: insert a small banner when mock mode is active
 const mockBannerId = 'rifcare-mock-banner';
@@ -281,9 +260,10 @@ function createMockBanner(){
   if (document.getElementById(mockBannerId)) return;
   const div = document.createElement('div');
   div.id = mockBannerId;
-  div.textContent = 'Mock mode — simulated AI responses';
+  div.textContent = i18n('mockBanner');
+  div.dir = uiDirection();
   div.style.position = 'fixed';
-  div.style.right = '16px';
+  div.style[div.dir === 'rtl' ? 'left' : 'right'] = '16px';
   div.style.bottom = '16px';
   div.style.background = 'rgba(37,99,235,0.95)';
   div.style.color = '#fff';
@@ -0,0 +1,236 @@
+// exporter.js — saved pages as Markdown, standalone HTML or JSON, and validation of JSON imports
+// Used by popup.js (the current page) and library.js (many pages). Requires i18n.js,
+// summary_styles.js, settings.js and storage.js. Pages have the shape listPages() returns:
+// {key, title, created, accessed, summary, history}; `thread` is optional.
+
+// Version of the JSON export format; imports of newer versions are refused
+const EXPORT_VERSION = 1;
+const EXPORT_FORMAT = 'rifcare-export';
+
+const EXPORT_FORMATS = {
+  markdown: {extension: 'md', mime: 'text/markdown'},
+  html: {extension: 'html', mime: 'text/html'},
+  json: {extension: 'json', mime: 'application/json'}
+};
+
+function escapeHtml(s) {
+  return String(s == null ? '' : s).replace(/[&<>"']/g, c => ({'&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'})[c]);
+}
+
+// "<date> · <style> · <source>" line of a page
+function exportMetaLine(page) {
+  const parts = [];
+  const summary = page.summary;
+  const at = summary && summary.updated ? summary.updated : page.history.reduce((m, h) => Math.max(m, h.at || 0), 0);
+  if (at) parts.push(formatDateTime(at));
+  if (summary && summary.style && SUMMARY_STYLES[summary.style]) parts.push(SUMMARY_STYLES[summary.style].label);
+  if (summary && summary.source) parts.push(providerName(summary.source, summary.model));
+  return parts.join(' · ');
+}
+
+// Answer text with its citation numbers ("... [1][2]") and the cited passages
+function answerWithCitations(entry) {
+  if (!Array.isArray(entry.claims) || !entry.claims.length) return {text: String(entry.answer || ''), citations: []};
+  const text = entry.claims.map((c, i) => (c.bullet ? (i ? '\n' : '') + '- ' : (i ? ' ' : '')) + c.text + (c.refs || []).map(n => `[${n}]`).join('')).join('');
+  return {text, citations: entry.citations || []};
+}
+
+function pageToMarkdown(page) {
+  const out = [`# ${page.title || page.key}`, '', `<${page.key}>`];
+  const meta = exportMetaLine(page);
+  if (meta) out.push('', `_${meta}_`);
+  const summary = page.summary;
+  if (summary && Array.isArray(summary.summary) && summary.summary.length) {
+    out.push('', `## ${i18n('summaryHeading')}`, '');
+    if (summary.headline) out.push(`**${summary.headline}**`, '');
+    for (const b of summary.summary) out.push(`- ${b}`);
+    if (Array.isArray(summary.entities) && summary.entities.length) out.push('', `_${i18n('summaryEntities', summary.entities.join(', '))}_`);
+  }
+  if (summary && Array.isArray(summary.highlights) && summary.highlights.length) {
+    out.push('', `## ${i18n('exportHighlights')}`);
+    for (const h of summary.highlights) out.push('', `> ${h}`);
+  }
+  if (page.history.length) {
+    out.push('', `## ${i18n('libraryConversation')}`);
+    for (const h of page.history) {
+      const answer = answerWithCitations(h);
+      out.push('', `**${i18n('exportQuestion', h.question)}**`, '', answer.text);
+      if (answer.citations.length) {
+        out.push('');
+        for (const c of answer.citations) out.push(`[${c.n}]: ${c.text}`);
+      }
+    }
+  }
+  return out.join('\n') + '\n';
+}
+
+function pagesToMarkdown(pages) {
+  return pages.map(pageToMarkdown).join('\n---\n\n');
+}
+
+function pageToHtmlSection(page) {
+  const out = ['<article>', `<h1>${escapeHtml(page.title || page.key)}</h1>`, `<p class="url"><a href="${escapeHtml(page.key)}">${escapeHtml(page.key)}</a></p>`];
+  const meta = exportMetaLine(page);
+  if (meta) out.push(`<p class="meta">${escapeHtml(meta)}</p>`);
+  const summary = page.summary;
+  if (summary && Array.isArray(summary.summary) && summary.summary.length) {
+    out.push(`<h2>${escapeHtml(i18n('summaryHeading'))}</h2>`);
+    if (summary.headline) out.push(`<p><strong>${escapeHtml(summary.headline)}</strong></p>`);
+    out.push('<ul>' + summary.summary.map(b => `<li>${escapeHtml(b)}</li>`).join('') + '</ul>');
+    if (Array.isArray(summary.entities) && summary.entities.length) out.push(`<p class="meta">${escapeHtml(i18n('summaryEntities', summary.entities.join(', ')))}</p>`);
+  }
+  if (summary && Array.isArray(summary.highlights) && summary.highlights.length) {
+    out.push(`<h2>${escapeHtml(i18n('exportHighlights'))}</h2>`, summary.highlights.map(h => `<blockquote>${escapeHtml(h)}</blockquote>`).join(''));
+  }
+  if (page.history.length) {
+    out.push(`<h2>${escapeHtml(i18n('libraryConversation'))}</h2>`);
+    for (const h of page.history) {
+      const answer = answerWithCitations(h);
+      out.push(`<p class="q">${escapeHtml(i18n('exportQuestion', h.question))}</p>`, `<p class="a">${escapeHtml(answer.text)}</p>`);
+      if (answer.citations.length) out.push('<ol class="refs">' + answer.citations.map(c => `<li value="${c.n}">${escapeHtml(c.text)}</li>`).join('') + '</ol>');
+    }
+  }
+  out.push('</article>');
+  return out.join('\n');
+}
+
+// A standalone HTML document (inline styles, no scripts)
+function pagesToHtml(pages, title) {
+  return `<!doctype html>
+<html lang="${escapeHtml(uiLocale())}" dir="${uiDirection()}">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(title)}</title>
+<style>
+body{font-family:system-ui,-apple-system,Segoe UI,Roboto,Arial,sans-serif;color:#0f172a;max-width:760px;margin:32px auto;padding:0 16px;line-height:1.5}
+article{border-bottom:1px solid #e5e7eb;padding-bottom:24px;margin-bottom:24px}
+h1{font-size:22px;margin:0 0 4px}h2{font-size:16px;margin:20px 0 8px}
+.url,.meta{font-size:13px;color:#6b7280;margin:2px 0;overflow-wrap:anywhere}
+blockquote{margin:8px 0;padding:4px 12px;border-inline-start:3px solid #facc15;background:#fefce8}
+.q{font-weight:600;margin:14px 0 4px}.a{white-space:pre-wrap;margin:0}
+.refs{font-size:13px;color:#475569}
+</style>
+</head>
+<body>
+${pages.map(pageToHtmlSection).join('\n')}
+</body>
+</html>
+`;
+}
+
+function pagesToJson(pages) {
+  return JSON.stringify({
+    format: EXPORT_FORMAT,
+    version: EXPORT_VERSION,
+    exportedAt: new Date().toISOString(),
+    pages: pages.map(p => {
+      const out = {url: p.key, title: p.title || '', created: p.created || 0, accessed: p.accessed || 0, summary: p.summary || null, history: p.history || []};
+      if (p.thread) out.thread = p.thread;
+      return out;
+    })
+  }, null, 2);
+}
+
+// Pages in an export format ('markdown', 'html' or 'json')
+function exportPages(pages, format, title = i18n('appName')) {
+  if (format === 'markdown') return pagesToMarkdown(pages);
+  if (format === 'html') return pagesToHtml(pages, title);
+  return pagesToJson(pages);
+}
+
+// File name for an export, e.g. "how-tides-work.md"
+function exportFileName(name, format) {
+  const slug = String(name || '').normalize('NFKD').replace(/[\u0300-\u036f]/g, '').toLowerCase()
+    .replace(/[^\p{L}\p{N}]+/gu, '-').replace(/^-+|-+$/g, '').slice(0, 60) || 'rifcare-export';
+  return `${slug}.${EXPORT_FORMATS[format].extension}`;
+}
+
+function downloadText(filename, text, mime) {
+  const url = URL.createObjectURL(new Blob([text], {type: mime + ';charset=utf-8'}));
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+// --- Import
+
+// The fields of `obj` listed in `checks` whose values pass their check
+function pickFields(obj, checks) {
+  const out = {};
+  for (const [name, check] of Object.entries(checks)) if (obj[name] !== undefined && check(obj[name])) out[name] = obj[name];
+  return out;
+}
+
+function isImportString(v) { return typeof v === 'string'; }
+function isImportNumber(v) { return typeof v === 'number' && isFinite(v); }
+function isImportStringList(v) { return Array.isArray(v) && v.every(isImportString); }
+function isImportOptional(v, check) { return v === undefined || check(v); }
+
+// Elements of lists (see highlighter.js createAnchor and citations.js); invalid ones are dropped
+function isImportAnchor(a) {
+  return !!a && isImportString(a.quote) && ['prefix', 'suffix', 'sentence'].every(k => isImportOptional(a[k], isImportString))
+    && ['position', 'textLength'].every(k => isImportOptional(a[k], isImportNumber)) && isImportOptional(a.orphaned, v => typeof v === 'boolean');
+}
+function isImportClaim(c) {
+  return !!c && isImportString(c.text) && Array.isArray(c.refs) && c.refs.every(Number.isInteger)
+    && (c.supported == null || typeof c.supported === 'boolean') && isImportOptional(c.bullet, v => typeof v === 'boolean');
+}
+function isImportCitation(c) {
+  return !!c && Number.isInteger(c.n) && isImportNumber(c.id) && isImportString(c.text);
+}
+
+// Validate one exported page; returns {page} with only the known fields, or {error}
+function validateImportedPage(p) {
+  if (!p || typeof p !== 'object') return {error: i18n('importNotObject')};
+  let url;
+  try { url = new URL(p.url); } catch (e) { return {error: i18n('importBadUrl')}; }
+  if (!/^(https?|file):$/.test(url.protocol)) return {error: i18n('importBadUrl')};
+  let summary = null;
+  if (p.summary != null) {
+    if (typeof p.summary !== 'object' || !isImportStringList(p.summary.summary)) return {error: i18n('importBadSummary')};
+    summary = pickFields(p.summary, {
+      summary: isImportStringList, highlights: isImportStringList, raw: isImportString, anchors: Array.isArray,
+      headline: isImportString, entities: isImportStringList,
+      style: v => !!SUMMARY_STYLES[v], length: v => !!SUMMARY_LENGTHS[v], source: isImportString, model: isImportString,
+      translated: v => typeof v === 'boolean', updated: isImportNumber
+    });
+    if (summary.anchors) summary.anchors = summary.anchors.filter(isImportAnchor);
+  }
+  if (p.history != null && !Array.isArray(p.history)) return {error: i18n('importBadHistory')};
+  const history = [];
+  for (const h of p.history || []) {
+    if (!h || !isImportString(h.question) || !isImportString(h.answer) || !isImportNumber(h.at)) return {error: i18n('importBadHistory')};
+    const entry = pickFields(h, {
+      question: isImportString, answer: isImportString, claims: Array.isArray, citations: Array.isArray,
+      at: isImportNumber, source: isImportString, model: isImportString, thread: isImportString, confidence: isImportNumber
+    });
+    if (entry.claims) entry.claims = entry.claims.filter(isImportClaim);
+    if (entry.citations) entry.citations = entry.citations.filter(isImportCitation);
+    history.push(entry);
+  }
+  const page = {key: pageKey(url.href), title: isImportString(p.title) ? p.title : '', created: isImportNumber(p.created) ? p.created : 0,
+    accessed: isImportNumber(p.accessed) ? p.accessed : 0, summary, history};
+  if (isImportString(p.thread)) page.thread = p.thread;
+  return {page};
+}
+
+// Parse and validate a JSON export. Returns {pages, errors}: errors describes the pages that
+// were skipped ("Page 3: ..."); a file that isn't an export at all throws.
+function parseImport(text) {
+  let data;
+  try { data = JSON.parse(text); } catch (e) { throw new Error(i18n('importNotJson')); }
+  if (!data || data.format !== EXPORT_FORMAT || !Array.isArray(data.pages)) throw new Error(i18n('importNotExport'));
+  if (!Number.isInteger(data.version) || data.version > EXPORT_VERSION) throw new Error(i18n('importNewerVersion'));
+  const pages = [];
+  const errors = [];
+  data.pages.forEach((p, i) => {
+    const result = validateImportedPage(p);
+    if (result.error) errors.push(i18n('importPageError', [i + 1, result.error]));
+    else pages.push(result.page);
+  });
+  return {pages, errors};
+}
@@ -0,0 +1,279 @@
+// extractor.js — readability-style main-content extraction
+// Loaded as a content script (before content_script.js) and injected by background.js
+// when the content script is missing, and into every frame to read iframes (extractSubframeTexts).
+// Only function declarations live at the top level so the file can be injected more than once
+// into the same world without redeclaration errors.
+// Pages are read as rendered: open shadow roots in place of their host's children, slots filled
+// with what is assigned to them. Content iframes leave a marker where they sit (see
+// _rifcareFrameMarker) that background.js replaces with the frame's own text.
+
+// Elements that never carry article text
+function _rifcareSkipTags() {
+  return new Set(['SCRIPT','STYLE','NOSCRIPT','TEMPLATE','SVG','CANVAS','IFRAME','OBJECT','EMBED','FORM','BUTTON','INPUT','SELECT','TEXTAREA','NAV','FOOTER','ASIDE','HEADER','MENU','DIALOG']);
+}
+
+// class/id hints used to weight candidate blocks
+function _rifcareClassWeight(el) {
+  const positive = /article|body|content|entry|main|page|post|text|blog|story|prose|markdown|doc/i;
+  const negative = /comment|meta|footer|footnote|nav|sidebar|cookie|consent|banner|related|share|social|promo|sponsor|advert|\bad-|ads\b|menu|masthead|header|subscribe|newsletter|widget|popup|modal|breadcrumb|pagination|skip|toolbar|rail|recommend/i;
+  let weight = 0;
+  for (const hint of [el.className, el.id]) {
+    if (typeof hint !== 'string' || !hint) continue;
+    if (negative.test(hint)) weight -= 25;
+    if (positive.test(hint)) weight += 25;
+  }
+  const role = el.getAttribute && el.getAttribute('role');
+  if (role === 'main' || role === 'article') weight += 25;
+  if (role === 'navigation' || role === 'banner' || role === 'contentinfo' || role === 'complementary') weight -= 50;
+  if (el.tagName === 'ARTICLE' || el.tagName === 'MAIN') weight += 25;
+  return weight;
+}
+
+function _rifcareIsHidden(el) {
+  if (el.hidden || el.getAttribute('aria-hidden') === 'true') return true;
+  const view = el.ownerDocument && el.ownerDocument.defaultView;
+  if (!view || !view.getComputedStyle) return false;
+  const cs = view.getComputedStyle(el);
+  return cs.display === 'none' || cs.visibility === 'hidden';
+}
+
+// Children of a node as rendered: an open shadow root's content instead of the host's light
+// children, and the nodes assigned to a <slot> (its fallback content when there are none)
+function composedChildNodes(node) {
+  if (node.shadowRoot) return node.shadowRoot.childNodes;
+  if (node.tagName === 'SLOT' && node.assignedNodes) {
+    const assigned = node.assignedNodes();
+    if (assigned.length) return assigned;
+  }
+  return node.childNodes;
+}
+
+// querySelectorAll that also looks inside the open shadow roots below root
+function composedQueryAll(root, selector) {
+  const found = Array.from(root.querySelectorAll(selector));
+  for (const el of root.querySelectorAll('*')) {
+    if (el.shadowRoot) found.push(...composedQueryAll(el.shadowRoot, selector));
+  }
+  return found;
+}
+
+// Parent across shadow boundaries: a shadow root's top-level nodes belong to its host
+function _rifcareParent(node) {
+  const parent = node && node.parentNode;
+  return parent && parent.nodeType === 11 && parent.host ? parent.host : parent;
+}
+
+function _rifcareNormalize(s) {
+  return String(s || '').replace(/\s+/g, ' ').trim();
+}
+
+// What one extraction learns about elements (see extractMainContent): their composed text, link
+// text and link density are asked for again and again while scoring and serializing, and each
+// would otherwise walk the element's whole subtree
+function _rifcareCache() {
+  return {text: new Map(), linked: new Map(), density: new Map()};
+}
+
+// textContent, following composedChildNodes; remembered per element in cache
+function composedText(node, cache) {
+  if (node.nodeType === 3) return node.nodeValue;
+  if (node.nodeType !== 1 && node.nodeType !== 11) return '';
+  if (cache.text.has(node)) return cache.text.get(node);
+  let text = '';
+  for (const child of composedChildNodes(node)) text += composedText(child, cache);
+  cache.text.set(node, text);
+  return text;
+}
+
+// Length of the text inside the links below a node (or of the node itself, if it is one)
+function _rifcareLinkedLength(node, cache) {
+  if (node.nodeType !== 1 && node.nodeType !== 11) return 0;
+  if (cache.linked.has(node)) return cache.linked.get(node);
+  let length = 0;
+  if (node.tagName === 'A') length = _rifcareNormalize(composedText(node, cache)).length;
+  else for (const child of composedChildNodes(node)) length += _rifcareLinkedLength(child, cache);
+  cache.linked.set(node, length);
+  return length;
+}
+
+// Share of an element's text that sits inside links (0..1)
+function _rifcareLinkDensity(el, cache) {
+  if (cache.density.has(el)) return cache.density.get(el);
+  const total = _rifcareNormalize(composedText(el, cache)).length;
+  const density = total ? Math.min(1, _rifcareLinkedLength(el, cache) / total) : 0;
+  cache.density.set(el, density);
+  return density;
+}
+
+// Score paragraph-like blocks and propagate to their parent/grandparent (readability heuristic)
+function _rifcareFindTopCandidate(root, cache) {
+  const scores = new Map();
+  const addScore = (el, amount) => {
+    if (!el || el.nodeType !== 1) return;
+    if (!scores.has(el)) scores.set(el, _rifcareClassWeight(el));
+    scores.set(el, scores.get(el) + amount);
+  };
+  const blocks = composedQueryAll(root, 'p, pre, td, blockquote, li, h2, h3, div > br');
+  for (const block of blocks) {
+    const el = block.tagName === 'BR' ? _rifcareParent(block) : block;
+    const text = _rifcareNormalize(composedText(el, cache));
+    if (text.length < 25) continue;
+    let score = 1 + text.split(/[,،、，]/).length + Math.min(3, Math.floor(text.length / 100));
+    if (el.tagName === 'LI') score /= 2;
+    const parent = _rifcareParent(el);
+    addScore(parent, score);
+    addScore(_rifcareParent(parent), score / 2);
+  }
+  let best = null;
+  let bestScore = 0;
+  for (const [el, score] of scores) {
+    const adjusted = score * (1 - _rifcareLinkDensity(el, cache));
+    if (adjusted > bestScore) { best = el; bestScore = adjusted; }
+  }
+  return best;
+}
+
+// Placeholder for the text of frames[n] (see extractMainContent); private-use characters, so it
+// can't collide with page text
+function _rifcareFrameMarker(n) {
+  return `\uE000${n}\uE001`;
+}
+
+// Iframes that can hold content: shown and at least this big (ads and widgets are smaller),
+// in document order (those inside shadow roots after the rest)
+function _rifcareContentFrames(doc) {
+  return composedQueryAll(doc.body, 'iframe, frame').filter((frame) => {
+    if (_rifcareIsHidden(frame)) return false;
+    const rect = frame.getBoundingClientRect();
+    return rect.width >= 200 && rect.height >= 100;
+  });
+}
+
+// A frame's address when scripts can be injected into it (see extractSubframeTexts in
+// background.js); '' for about:blank and srcdoc frames
+function _rifcareFrameUrl(frame) {
+  return /^(https?|file):/.test(frame.src || '') ? frame.src : '';
+}
+
+// Serialize an element into plain text that keeps headings, lists and paragraph breaks.
+// Headings become "# Title" lines and list items "- item" so later stages can split on structure.
+// An iframe listed in `frames` becomes a paragraph holding its marker, unless it has no address of
+// its own (about:blank, srcdoc): scripts aren't injected there, so its document is read in place.
+function _rifcareSerialize(root, frames, cache) {
+  const skip = _rifcareSkipTags();
+  const out = [];
+  let line = '';
+  const flush = () => { const t = _rifcareNormalize(line); if (t) out.push(t); line = ''; };
+  const walk = (node) => {
+    if (node.nodeType === 3) { line += node.nodeValue; return; }
+    if (node.nodeType !== 1) return;
+    const frame = frames.indexOf(node);
+    if (frame !== -1) {
+      flush();
+      if (_rifcareFrameUrl(node)) out.push(_rifcareFrameMarker(frame));
+      else {
+        let body = null;
+        try { body = node.contentDocument && node.contentDocument.body; } catch (e) { /* sandboxed */ }
+        if (body) walk(body);
+        flush();
+      }
+      return;
+    }
+    if (skip.has(node.tagName.toUpperCase())) return;
+    // the extension's own UI (selection card, banner)
+    if (node.id && node.id.startsWith('rifcare-')) return;
+    if (_rifcareIsHidden(node)) return;
+    if (node !== root && _rifcareClassWeight(node) < 0 && _rifcareLinkDensity(node, cache) > 0.3) return;
+    const tag = node.tagName;
+    if (/^H[1-6]$/.test(tag)) {
+      flush();
+      const text = _rifcareNormalize(composedText(node, cache));
+      if (text) out.push('#'.repeat(Number(tag[1])) + ' ' + text);
+      return;
+    }
+    if (tag === 'LI') {
+      flush();
+      line = '- ';
+      for (const child of composedChildNodes(node)) walk(child);
+      flush();
+      return;
+    }
+    if (tag === 'PRE') {
+      flush();
+      const text = String(composedText(node, cache)).trim();
+      if (text) out.push(text);
+      return;
+    }
+    if (tag === 'BR') { flush(); return; }
+    const isBlock = /^(P|DIV|SECTION|ARTICLE|MAIN|BLOCKQUOTE|UL|OL|DL|DT|DD|TABLE|TR|FIGURE|FIGCAPTION)$/.test(tag);
+    if (isBlock) flush();
+    for (const child of composedChildNodes(node)) walk(child);
+    if (isBlock) flush();
+  };
+  walk(root);
+  flush();
+  // Collapse to paragraphs separated by blank lines; keep consecutive list items together
+  const lines = [];
+  for (const l of out) {
+    const prev = lines[lines.length - 1];
+    if (prev && prev.startsWith('- ') && l.startsWith('- ')) lines.push(l);
+    else { if (lines.length) lines.push(''); lines.push(l); }
+  }
+  return lines.join('\n');
+}
+
+function _rifcareMeta(doc, selectors) {
+  for (const sel of selectors) {
+    const el = doc.querySelector(sel);
+    if (!el) continue;
+    const value = el.getAttribute('content') || el.getAttribute('datetime') || el.textContent;
+    const text = _rifcareNormalize(value);
+    if (text) return text;
+  }
+  return '';
+}
+
+// Raw body text, as the extension used before main-content extraction existed
+function extractRawText(doc) {
+  return doc && doc.body ? doc.body.innerText || '' : '';
+}
+
+// Absolute URL of the page's <link rel="canonical">, '' when there is none
+function extractCanonicalUrl(doc) {
+  const link = doc && doc.querySelector('link[rel~="canonical"][href]');
+  if (!link) return '';
+  try { return new URL(link.getAttribute('href'), doc.baseURI).href; } catch (e) { return ''; }
+}
+
+// Addresses of the document's content iframes, in document order (see _rifcareContentFrames and
+// _rifcareFrameUrl)
+function extractFrameUrls(doc) {
+  return doc && doc.body ? _rifcareContentFrames(doc).map(_rifcareFrameUrl) : [];
+}
+
+// Extract the main article of a document.
+// Returns {title, byline, published, text, lang, canonical, frames}; text falls back to raw body
+// text when no block scores well enough (e.g. app-like pages with no paragraphs). lang is the
+// page's declared <html lang>, possibly ''; canonical is its canonical URL, possibly ''. frames
+// are the content iframes' addresses; text holds the marker of those inside the article.
+function extractMainContent(doc, options = {}) {
+  const minLength = options.minLength || 250;
+  if (!doc || !doc.body) return {title: '', byline: '', published: '', text: '', lang: '', canonical: '', frames: []};
+
+  const title = _rifcareMeta(doc, ['meta[property="og:title"]', 'meta[name="twitter:title"]', 'article h1', 'main h1', 'h1']) || _rifcareNormalize(doc.title);
+  const byline = _rifcareMeta(doc, ['meta[name="author"]', 'meta[property="article:author"]', '[itemprop="author"]', '[rel="author"]', '.byline', '.author']);
+  const published = _rifcareMeta(doc, ['meta[property="article:published_time"]', 'meta[name="date"]', 'meta[itemprop="datePublished"]', '[itemprop="datePublished"]', 'article time[datetime]', 'time[datetime]']);
+
+  const preferred = composedQueryAll(doc.body, 'article, main, [role="main"]')[0];
+  const cache = _rifcareCache();
+  let candidate = _rifcareFindTopCandidate(doc.body, cache);
+  // A semantic <article>/<main> wins when it overlaps the scored candidate
+  if (preferred && (!candidate || preferred.contains(candidate) || candidate.contains(preferred))) candidate = preferred;
+
+  const frames = _rifcareContentFrames(doc);
+  let text = candidate ? _rifcareSerialize(candidate, frames, cache) : '';
+  // an article around an embedded document is kept however short its own text is
+  if (text.length < minLength && !text.includes('\uE000')) text = extractRawText(doc);
+  const lang = doc.documentElement ? doc.documentElement.lang || '' : '';
+  return {title, byline, published, text, lang, canonical: extractCanonicalUrl(doc), frames: frames.map(_rifcareFrameUrl)};
+}
@@ -0,0 +1,386 @@
+// highlighter.js — find sentences on the page and highlight them (content script, loaded before content_script.js)
+// Matching runs on a whitespace-normalized, flattened copy of the document text, so a sentence can
+// span links, <em>, footnote markers and several text nodes. Matches are mapped back to DOM Ranges
+// and rendered with the CSS Custom Highlight API when available, or with <span> wrappers otherwise.
+// The text is read as rendered (composedChildNodes in extractor.js), so open shadow roots count,
+// and so do same-origin iframes; cross-origin frames can't be reached from here.
+
+const RIFCARE_HIGHLIGHT_NAME = 'rifcare';
+// Minimum token overlap (Dice coefficient) for a fuzzy match of a paraphrased sentence
+const RIFCARE_FUZZY_THRESHOLD = 0.6;
+
+// Ranges currently highlighted by the extension
+let rifcareActiveRanges = [];
+
+// The page's style doesn't reach into shadow roots or other documents: those holding highlights
+// get a copy of it. Shadow root or frame document -> its <style>
+const rifcareRootStyles = new Map();
+let rifcareHighlightCss = '';
+
+// Set the highlight style (content_script.js), in every root holding highlights too
+function setHighlightCss(css) {
+  rifcareHighlightCss = css;
+  for (const el of rifcareRootStyles.values()) el.textContent = css;
+}
+
+function styleHighlightRoot(root) {
+  if (root === document || rifcareRootStyles.has(root)) return;
+  const doc = root.nodeType === 9 ? root : root.ownerDocument;
+  const el = doc.createElement('style');
+  el.textContent = rifcareHighlightCss;
+  (root.nodeType === 9 ? root.head || root.documentElement : root).appendChild(el);
+  rifcareRootStyles.set(root, el);
+}
+
+// Where highlights may be: the page, and the shadow roots and frames styled so far
+function highlightRoots() {
+  return [document, ...rifcareRootStyles.keys()];
+}
+
+const RIFCARE_SKIP_TAGS = new Set(['SCRIPT','STYLE','NOSCRIPT','TEMPLATE','TEXTAREA','INPUT','SELECT','OPTION','SVG','CANVAS']);
+const RIFCARE_BLOCK_TAGS = new Set(['P','DIV','LI','UL','OL','DL','DT','DD','H1','H2','H3','H4','H5','H6','TD','TH','TR','TABLE','SECTION','ARTICLE','MAIN','ASIDE','HEADER','FOOTER','NAV','BLOCKQUOTE','PRE','FIGURE','FIGCAPTION','BODY','BR','HR']);
+
+// Fold a character for matching: case, typographic quotes and dashes
+function foldChar(c) {
+  if (c === '‘' || c === '’' || c === '‛' || c === '′') return "'";
+  if (c === '“' || c === '”' || c === '‟' || c === '″') return '"';
+  if (c === '–' || c === '—' || c === '−') return '-';
+  const lower = c.toLowerCase();
+  return lower.length === 1 ? lower : c;
+}
+
+function foldText(s) {
+  let out = '';
+  let space = false;
+  for (const c of String(s || '')) {
+    if (/\s/.test(c)) { space = out.length > 0; continue; }
+    if (space) { out += ' '; space = false; }
+    for (const unit of foldChar(c)) out += unit;
+  }
+  return out;
+}
+
+function blockAncestor(node) {
+  let el = node.parentNode;
+  while (el && el.nodeType === 1 && !RIFCARE_BLOCK_TAGS.has(el.tagName)) el = el.parentNode;
+  return el;
+}
+
+// Text nodes below root in rendered order, entering open shadow roots and same-origin iframes
+function renderedTextNodes(root, out = []) {
+  for (const node of composedChildNodes(root)) {
+    if (node.nodeType === 3) { out.push(node); continue; }
+    if (node.nodeType !== 1) continue;
+    if (RIFCARE_SKIP_TAGS.has(node.tagName.toUpperCase())) continue;
+    // never match inside the extension's own UI (banner, cards)
+    if (node.id && node.id.startsWith('rifcare-')) continue;
+    if (node.tagName === 'IFRAME' || node.tagName === 'FRAME') {
+      let body = null;
+      try { body = node.contentDocument && node.contentDocument.body; } catch (e) { /* cross-origin */ }
+      if (body) renderedTextNodes(body, out);
+      continue;
+    }
+    renderedTextNodes(node, out);
+  }
+  return out;
+}
+
+// Build the flattened view of `root`: {text, nodes, offsets} where text[i] came from
+// nodes[i] at offsets[i]. Whitespace runs (and block boundaries) become a single space.
+function buildTextIndex(root = document.body) {
+  const index = {text: '', nodes: [], offsets: []};
+  if (!root) return index;
+  const parts = [];
+  let pendingSpace = false;
+  let lastBlock = null;
+  for (const node of renderedTextNodes(root)) {
+    const value = node.nodeValue;
+    if (!value) continue;
+    const block = blockAncestor(node);
+    if (lastBlock && block !== lastBlock) pendingSpace = parts.length > 0;
+    lastBlock = block;
+    for (let i = 0; i < value.length; i++) {
+      const c = value[i];
+      if (/\s/.test(c)) { pendingSpace = parts.length > 0; continue; }
+      if (pendingSpace) {
+        parts.push(' '); index.nodes.push(node); index.offsets.push(i);
+        pendingSpace = false;
+      }
+      parts.push(foldChar(c));
+      index.nodes.push(node); index.offsets.push(i);
+    }
+  }
+  index.text = parts.join('');
+  return index;
+}
+
+function matchTokens(s) {
+  return String(s || '').split(/[^\p{L}\p{N}]+/u).filter(Boolean);
+}
+
+// Dice coefficient over token multisets
+function tokenSimilarity(aTokens, bTokens) {
+  if (!aTokens.length || !bTokens.length) return 0;
+  const counts = new Map();
+  for (const t of aTokens) counts.set(t, (counts.get(t) || 0) + 1);
+  let common = 0;
+  for (const t of bTokens) {
+    const n = counts.get(t);
+    if (n) { common++; counts.set(t, n - 1); }
+  }
+  return (2 * common) / (aTokens.length + bTokens.length);
+}
+
+// Sentence spans [start, end) of the flattened text
+function sentenceSpans(text) {
+  const spans = [];
+  const re = /[^.!?。！？]+[.!?。！？]*/g;
+  let m;
+  while ((m = re.exec(text))) {
+    let start = m.index;
+    let end = m.index + m[0].length;
+    while (start < end && text[start] === ' ') start++;
+    while (end > start && text[end - 1] === ' ') end--;
+    if (end > start) spans.push({start, end});
+  }
+  return spans;
+}
+
+// Find `quote` in the index. Exact (folded) matches win; otherwise the best window of one to three
+// consecutive sentences whose tokens overlap the quote by at least RIFCARE_FUZZY_THRESHOLD.
+// Returns {start, end, score} or null.
+function findQuote(index, quote, spans) {
+  const needle = foldText(quote);
+  if (!needle) return null;
+  const exact = index.text.indexOf(needle);
+  if (exact !== -1) return {start: exact, end: exact + needle.length, score: 1};
+
+  const qTokens = matchTokens(needle);
+  if (qTokens.length < 3) return null;
+  spans = spans || sentenceSpans(index.text);
+  let best = null;
+  for (let i = 0; i < spans.length; i++) {
+    for (let w = 1; w <= 3 && i + w <= spans.length; w++) {
+      const start = spans[i].start;
+      const end = spans[i + w - 1].end;
+      const score = tokenSimilarity(qTokens, matchTokens(index.text.slice(start, end)));
+      if (score >= RIFCARE_FUZZY_THRESHOLD && (!best || score > best.score)) best = {start, end, score};
+    }
+  }
+  return best;
+}
+
+// Map [start, end) of the flattened text back to a DOM Range. A Range can't cross into a shadow
+// root or another frame, so a match that does keeps only its part in the root it starts in.
+function rangeFromOffsets(index, start, end) {
+  const root = index.nodes[start].getRootNode();
+  while (end - 1 > start && index.nodes[end - 1].getRootNode() !== root) end--;
+  const range = index.nodes[start].ownerDocument.createRange();
+  range.setStart(index.nodes[start], index.offsets[start]);
+  range.setEnd(index.nodes[end - 1], index.offsets[end - 1] + 1);
+  return range;
+}
+
+function supportsCustomHighlights() {
+  return typeof CSS !== 'undefined' && CSS.highlights && typeof Highlight === 'function';
+}
+
+// Register ranges under a highlight name; each document (the page, same-origin frames) has its own
+// registry. Empty `ranges` removes the name everywhere.
+function setCustomHighlight(name, ranges) {
+  const byView = new Map();
+  for (const root of highlightRoots()) {
+    if (root.nodeType === 9 && root.defaultView) byView.set(root.defaultView, []);
+  }
+  for (const range of ranges) {
+    const view = range.startContainer.ownerDocument.defaultView;
+    if (byView.has(view)) byView.get(view).push(range);
+  }
+  for (const [view, list] of byView) {
+    if (!view.CSS || !view.CSS.highlights) continue;
+    if (list.length) view.CSS.highlights.set(name, new view.Highlight(...list));
+    else view.CSS.highlights.delete(name);
+  }
+}
+
+// Wrap each text-node segment of the ranges in span.<className>. Only text nodes are split,
+// so element structure (and listeners attached by the page) stays as it was.
+function wrapRanges(ranges, className = 'rifcare-highlight') {
+  const segments = new Map();
+  for (const range of ranges) {
+    const root = range.commonAncestorContainer;
+    const nodes = [];
+    if (root.nodeType === 3) nodes.push(root);
+    else {
+      const walker = root.ownerDocument.createTreeWalker(root, NodeFilter.SHOW_TEXT);
+      while (walker.nextNode()) if (range.intersectsNode(walker.currentNode)) nodes.push(walker.currentNode);
+    }
+    for (const node of nodes) {
+      const start = node === range.startContainer ? range.startOffset : 0;
+      const end = node === range.endContainer ? range.endOffset : node.length;
+      if (start >= end || !node.nodeValue.slice(start, end).trim()) continue;
+      if (!segments.has(node)) segments.set(node, []);
+      segments.get(node).push({start, end});
+    }
+  }
+  for (const [node, segs] of segments) {
+    // right-to-left so earlier offsets stay valid while splitting
+    segs.sort((a, b) => b.start - a.start);
+    for (const seg of segs) {
+      if (seg.end < node.length) node.splitText(seg.end);
+      const target = seg.start > 0 ? node.splitText(seg.start) : node;
+      const span = target.ownerDocument.createElement('span');
+      span.className = className;
+      target.parentNode.insertBefore(span, target);
+      span.appendChild(target);
+      if (target === node) break;
+    }
+  }
+}
+
+// Highlight ranges under `name`, or wrap them in span.<className> without the Custom Highlight
+// API, styling the shadow roots and frames they are in
+function paintRanges(ranges, name, className) {
+  for (const range of ranges) {
+    styleHighlightRoot(range.startContainer.getRootNode());
+    // a shadow root in a frame: the frame's document holds the registry (setCustomHighlight)
+    styleHighlightRoot(range.startContainer.ownerDocument);
+  }
+  if (supportsCustomHighlights()) setCustomHighlight(name, ranges);
+  else wrapRanges(ranges, className);
+}
+
+function renderHighlights(ranges) {
+  if (!ranges.length) return;
+  paintRanges(ranges, RIFCARE_HIGHLIGHT_NAME, 'rifcare-highlight');
+}
+
+function unwrapSpans(selector) {
+  for (const root of highlightRoots()) {
+    // roots that went away with their host or frame
+    if (root !== document && !(root.nodeType === 9 ? root.defaultView : root.host.isConnected)) {
+      rifcareRootStyles.delete(root);
+      continue;
+    }
+    for (const el of Array.from(root.querySelectorAll(selector))) {
+      const parent = el.parentNode;
+      if (!parent) continue;
+      while (el.firstChild) parent.insertBefore(el.firstChild, el);
+      parent.removeChild(el);
+      parent.normalize();
+    }
+  }
+}
+
+// Remove any existing highlights inserted by this extension
+function removeHighlights() {
+  if (supportsCustomHighlights()) setCustomHighlight(RIFCARE_HIGHLIGHT_NAME, []);
+  rifcareActiveRanges = [];
+  unwrapSpans('.rifcare-highlight');
+}
+
+// Number of characters of context kept on each side of an anchor's quote
+const RIFCARE_ANCHOR_CONTEXT = 32;
+
+// Describe a match so it can be found again after the page changes:
+// the quote as it appears on the page, surrounding context and the relative position.
+function createAnchor(index, start, end) {
+  return {
+    quote: index.text.slice(start, end),
+    prefix: index.text.slice(Math.max(0, start - RIFCARE_ANCHOR_CONTEXT), start),
+    suffix: index.text.slice(end, end + RIFCARE_ANCHOR_CONTEXT),
+    position: start,
+    textLength: index.text.length
+  };
+}
+
+function commonSuffixLength(a, b) {
+  let n = 0;
+  while (n < a.length && n < b.length && a[a.length - 1 - n] === b[b.length - 1 - n]) n++;
+  return n;
+}
+
+function commonPrefixLength(a, b) {
+  let n = 0;
+  while (n < a.length && n < b.length && a[n] === b[n]) n++;
+  return n;
+}
+
+// Locate an anchor in the index. Every exact occurrence of the quote is scored by how well its
+// context matches prefix/suffix and how close it is to the expected (length-scaled) position;
+// if the quote no longer occurs verbatim, fall back to a fuzzy match. Returns {start, end, score} or null.
+function resolveAnchor(index, anchor, spans) {
+  const quote = foldText(anchor && anchor.quote);
+  if (!quote) return null;
+  const expected = anchor.textLength ? anchor.position * (index.text.length / anchor.textLength) : anchor.position || 0;
+  let best = null;
+  for (let at = index.text.indexOf(quote); at !== -1; at = index.text.indexOf(quote, at + 1)) {
+    const before = index.text.slice(Math.max(0, at - RIFCARE_ANCHOR_CONTEXT), at);
+    const after = index.text.slice(at + quote.length, at + quote.length + RIFCARE_ANCHOR_CONTEXT);
+    const context = commonSuffixLength(before, anchor.prefix || '') + commonPrefixLength(after, anchor.suffix || '');
+    const distance = Math.abs(at - expected) / Math.max(1, index.text.length);
+    const score = context - distance * RIFCARE_ANCHOR_CONTEXT;
+    if (!best || score > best.score) best = {start: at, end: at + quote.length, score};
+  }
+  if (best) return {start: best.start, end: best.end, score: 1};
+  return findQuote(index, anchor.quote, spans);
+}
+
+// Highlight sentences on the page, replacing previous highlights.
+// Returns [{sentence, found, score, anchor}] in input order; anchor is null when not found.
+function highlightSentences(sentences) {
+  removeHighlights();
+  const index = buildTextIndex(document.body);
+  const spans = sentenceSpans(index.text);
+  const results = [];
+  const ranges = [];
+  for (const sentence of sentences.map(s => String(s || '').trim()).filter(Boolean)) {
+    const match = findQuote(index, sentence, spans);
+    if (!match) { results.push({sentence, found: false, score: 0, anchor: null}); continue; }
+    ranges.push(rangeFromOffsets(index, match.start, match.end));
+    results.push({sentence, found: true, score: match.score, anchor: createAnchor(index, match.start, match.end)});
+  }
+  renderHighlights(ranges);
+  rifcareActiveRanges = ranges;
+  return results;
+}
+
+// Re-apply stored anchors, replacing previous highlights.
+// Returns the anchors with `orphaned` set on those that can no longer be found; found anchors
+// are refreshed with their current context so they keep tracking later edits.
+function highlightAnchors(anchors) {
+  removeHighlights();
+  const index = buildTextIndex(document.body);
+  const spans = sentenceSpans(index.text);
+  const ranges = [];
+  const updated = anchors.map((anchor) => {
+    const match = resolveAnchor(index, anchor, spans);
+    if (!match) return Object.assign({}, anchor, {orphaned: true});
+    ranges.push(rangeFromOffsets(index, match.start, match.end));
+    return Object.assign(createAnchor(index, match.start, match.end), {sentence: anchor.sentence, orphaned: false});
+  });
+  renderHighlights(ranges);
+  rifcareActiveRanges = ranges;
+  return updated;
+}
+
+// Citations from answers get their own highlight so summary highlights stay in place
+const RIFCARE_CITATION_HIGHLIGHT_NAME = 'rifcare-citation';
+
+function removeCitationHighlight() {
+  if (supportsCustomHighlights()) setCustomHighlight(RIFCARE_CITATION_HIGHLIGHT_NAME, []);
+  unwrapSpans('.rifcare-citation');
+}
+
+// Highlight a cited passage and scroll it into view. Returns true when the passage was found.
+function highlightCitation(quote) {
+  removeCitationHighlight();
+  const index = buildTextIndex(document.body);
+  const match = findQuote(index, quote);
+  if (!match) return false;
+  const range = rangeFromOffsets(index, match.start, match.end);
+  const target = range.startContainer.parentElement;
+  paintRanges([range], RIFCARE_CITATION_HIGHLIGHT_NAME, 'rifcare-citation');
+  if (target) target.scrollIntoView({behavior: 'smooth', block: 'center'});
+  return true;
+}
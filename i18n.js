@@ -0,0 +1,62 @@
+// i18n.js — chrome.i18n helpers: messages, plurals, numbers and dates, page localization, RTL
+// Shared by every context and loaded first: background.js (importScripts), the content scripts
+// (manifest), popup.html and options.html (script tags). Catalogs are _locales/<lang>/messages.json;
+// messages take substitutions through named placeholders.
+
+// The browser's UI locale, e.g. 'es' or 'en-US'
+function uiLocale() {
+  return chrome.i18n && chrome.i18n.getUILanguage ? chrome.i18n.getUILanguage() : 'en';
+}
+
+// Message `key` with substitutions (a value or an array). Missing keys come back as the key
+// itself so they stand out instead of rendering as empty text.
+function i18n(key, substitutions) {
+  const subs = substitutions === undefined ? undefined : [].concat(substitutions).map(String);
+  const message = chrome.i18n && chrome.i18n.getMessage ? chrome.i18n.getMessage(key, subs) : '';
+  return message || key;
+}
+
+// Plural message: `<key>_<category>` for the UI locale's plural category of `count`
+// ('one', 'few', 'many', 'other', ...), falling back to `<key>_other`. The formatted count is the
+// first substitution; `substitutions` follow it.
+function i18nPlural(key, count, substitutions = []) {
+  let category = 'other';
+  try { category = new Intl.PluralRules(uiLocale()).select(count); } catch (e) { /* keep 'other' */ }
+  const subs = [formatNumber(count)].concat(substitutions).map(String);
+  const message = chrome.i18n && chrome.i18n.getMessage ? chrome.i18n.getMessage(`${key}_${category}`, subs) : '';
+  return message || i18n(`${key}_other`, subs);
+}
+
+function formatNumber(n, options) {
+  try { return new Intl.NumberFormat(uiLocale(), options).format(n); } catch (e) { return String(n); }
+}
+
+// Date and time of a timestamp in the UI locale; only the time for today
+function formatDateTime(ts) {
+  const date = new Date(ts);
+  if (isNaN(date)) return '';
+  const today = new Date().toDateString() === date.toDateString();
+  try {
+    return new Intl.DateTimeFormat(uiLocale(), today ? {timeStyle: 'short'} : {dateStyle: 'medium', timeStyle: 'short'}).format(date);
+  } catch (e) {
+    return date.toLocaleString();
+  }
+}
+
+// 'rtl' or 'ltr' for the UI locale (chrome.i18n's predefined @@bidi_dir message)
+function uiDirection() {
+  return chrome.i18n && chrome.i18n.getMessage && chrome.i18n.getMessage('@@bidi_dir') === 'rtl' ? 'rtl' : 'ltr';
+}
+
+// Fill elements marked data-i18n="key" (text) and data-i18n-title / -placeholder / -aria-label
+// (attributes). For a whole document, <html lang> and dir follow the UI locale too.
+function localizePage(root = document) {
+  for (const el of root.querySelectorAll('[data-i18n]')) el.textContent = i18n(el.dataset.i18n);
+  for (const attr of ['title', 'placeholder', 'aria-label']) {
+    for (const el of root.querySelectorAll(`[data-i18n-${attr}]`)) el.setAttribute(attr, i18n(el.getAttribute(`data-i18n-${attr}`)));
+  }
+  if (root === document) {
+    document.documentElement.lang = uiLocale();
+    document.documentElement.dir = uiDirection();
+  }
+}
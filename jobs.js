@@ -0,0 +1,95 @@
+// jobs.js — background job manager for the popup's AI requests (summarize, ask) and automatic summaries
+// Loaded by background.js (importScripts). Each request becomes a job with an id and an
+// AbortController. A request identical to one still running for the same tab joins that job
+// instead of starting another. Jobs keep their events, so a popup that is reopened can reattach
+// (attachJob) and replay what it missed; a job that finished while no popup was listening is kept
+// for JOB_KEEP_MS until one picks up its result. Model calls themselves are queued in providers.js.
+
+const JOB_KEEP_MS = 5 * 60 * 1000;
+const jobs = new Map();
+let nextJobId = 1;
+
+// Requests that are the same work: same tab, action and parameters. Messages come resolved
+// (resolveJobRequest in background.js), so a summary asked from the popup, the context menu or
+// an automatic one is the same job when it runs with the same style and length.
+function jobKey(message) {
+  if (message.action === 'summarize') return JSON.stringify([message.tabId, message.action, message.style, message.length]);
+  return JSON.stringify([message.tabId, message.action, message.question || '', message.threadId || '']);
+}
+
+// Start a job for `message`, or return the running job for the same request.
+// run(message, emit, signal) resolves to the final response, as handleAIRequest does.
+function startJob(message, run) {
+  const key = jobKey(message);
+  for (const job of jobs.values()) if (job.key === key && !job.done) return job;
+  const job = {
+    id: String(nextJobId++),
+    key,
+    tabId: message.tabId,
+    // what the popup needs to show the job again
+    request: {action: message.action, question: message.question, threadId: message.threadId, style: message.style, length: message.length, auto: !!message.auto},
+    controller: new AbortController(),
+    events: [],
+    listeners: new Set(),
+    done: false,
+    claimed: false,
+    response: null
+  };
+  jobs.set(job.id, job);
+  const emit = (event) => {
+    // a reset drops the text streamed so far, for listeners attaching later too
+    if (event.type === 'reset') job.events = job.events.filter(e => e.type !== 'delta');
+    job.events.push(event);
+    for (const listener of job.listeners) listener(event);
+  };
+  new Promise(resolve => resolve(run(message, emit, job.controller.signal)))
+    .catch(err => ({status:'error', message: err && err.message ? err.message : String(err)}))
+    .then((response) => {
+      job.done = true;
+      job.response = response;
+      if (job.listeners.size) job.claimed = true;
+      for (const listener of job.listeners) listener({type:'done', response});
+      job.listeners.clear();
+      setTimeout(() => jobs.delete(job.id), JOB_KEEP_MS);
+    });
+  return job;
+}
+
+// Replay a job's events to listener and keep it informed until the job is done.
+// Returns a function that detaches the listener (the job keeps running).
+function attachJob(job, listener) {
+  for (const event of job.events) listener(event);
+  if (job.done) {
+    job.claimed = true;
+    listener({type:'done', response: job.response});
+    return () => {};
+  }
+  job.listeners.add(listener);
+  return () => job.listeners.delete(listener);
+}
+
+// The job to show in a tab's popup: the one still running, or one that finished without a popup.
+// `action` limits it to jobs of that action.
+function findTabJob(tabId, action = '') {
+  let found = null;
+  for (const job of jobs.values()) {
+    if (job.tabId !== tabId || (action && job.request.action !== action)) continue;
+    if (!job.done) return job;
+    if (!job.claimed) found = job;
+  }
+  return found;
+}
+
+function cancelJob(id) {
+  const job = jobs.get(String(id));
+  if (job && !job.done) job.controller.abort();
+}
+
+// Cancel a tab's jobs whose request matches, running or finished: nobody is shown how they end
+function cancelTabJobs(tabId, match = () => true) {
+  for (const job of jobs.values()) {
+    if (job.tabId !== tabId || !match(job.request)) continue;
+    job.claimed = true;
+    if (!job.done) job.controller.abort();
+  }
+}
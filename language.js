@@ -0,0 +1,93 @@
+// language.js — language detection, stopwords and Unicode-aware segmentation
+// Shared by background.js (importScripts) and library.html; loaded before retrieval.js and
+// summarizer.js. Segmentation uses Intl.Segmenter, which handles scripts without
+// spaces (Chinese, Japanese, Thai) and sentence ends like "।" and "。"; a regex fallback
+// covers engines without it.
+
+// Function words per language: removed before ranking and used to tell Latin-script languages apart
+const STOPWORDS = {
+  en: 'a an the and or but nor not no so if then than that this these those there here is am are was were be been being do does did done have has had having will would shall should can could may might must i me my we us our you your he him his she her it its they them their what which who whom whose when where why how of in on at to for from by with about into onto over under after before between through during without within as up down out off again further once all any both each few more most other some such only own same too very just also well much many get got make made say said one two new like',
+  es: 'a al algo algunos ante antes como con contra cual cuando de del desde donde durante e el ella ellas ellos en entre era es esa ese eso esta este esto estos fue ha hay la las le les lo los más me mi muy nada ni no nos o otra otro para pero poco por porque que quien se ser si sin sobre su sus también te tiene todo tu un una uno unos y ya',
+  de: 'aber alle als also am an auch auf aus bei bin bis da damit dann das dass dem den der des die doch dort du durch ein eine einem einen einer eines er es für hat hatte ich ihr im in ist ja kann kein man mehr mit nach nicht noch nur ob oder sich sie sind so über um und uns von vor war was wenn werden wie wir wird zu zum zur',
+  fr: 'à au aux avec ce ces cette dans de des du elle en est et été il ils je la le les leur lui mais me même mes moi mon ne nous on ou par pas pour qu que qui sa se ses son sont sur ta te tes toi ton tu un une vos votre vous y',
+  it: 'a ad al alla alle anche che chi ci come con da dal dalla dei del della delle di e è ed gli ha hanno i il in io la le lei lo loro lui ma mi mio ne nei nel nella non o per più quale quando quello questa questo se si sono su sua suo tra tu un una uno',
+  pt: 'a ao aos as até com como da das de dela dele do dos e é ela ele eles em entre era essa esse esta este eu foi há isso já lhe mais mas me mesmo meu muito na não nas nem no nos o os ou para pela pelo por qual quando que se sem ser seu sua são também te tem um uma você',
+  hi: 'और का की के को में से है हैं था थे थी पर भी यह वह ने एक लिए तो ही या कि जो कर इस उस हो गया रहा रहे नहीं',
+  zh: '的 了 是 在 和 有 我 他 她 它 这 那 也 就 不 都 与 及 而 或 被 把 对 为 以 之 其 中 上 下 着 个 们',
+  ja: 'の に は を た が で て と し れ さ ある いる も する から な こと として い や れる など なっ ない この ため その あっ よう また もの という あり まで られ なる へ か だ これ によって により おり より による ず なり られる において ば なかっ なく しかし について せ だっ その後 できる それ う ので なお のみ でき き つ における および いう さらに でも ら たり その他 に関する たち ます ん なら'
+};
+const STOPWORD_SETS = {};
+for (const [lang, words] of Object.entries(STOPWORDS)) STOPWORD_SETS[lang] = new Set(words.split(' '));
+
+// Characters that end a sentence in the regex fallback
+const SENTENCE_END = '.!?。！？।॥';
+
+// Base language code ("pt-BR" -> "pt"), '' when not a language tag
+function baseLanguage(tag) {
+  const m = /^([a-z]{2,3})(?:[-_]|$)/i.exec(String(tag || '').trim());
+  return m ? m[1].toLowerCase() : '';
+}
+
+// Detect the language of a text from its script and, for Latin script, from how often the
+// stopwords of each language occur. `hint` (e.g. <html lang>) is used when the text is
+// inconclusive. Returns a base code such as 'en', 'es' or 'ja'.
+function detectLanguage(text, hint = '') {
+  const sample = String(text || '').slice(0, 4000);
+  const count = (re) => (sample.match(re) || []).length;
+  const letters = count(/\p{L}/gu) || 1;
+  const kana = count(/[\p{Script=Hiragana}\p{Script=Katakana}]/gu);
+  const han = count(/\p{Script=Han}/gu);
+  if (kana / letters > 0.05) return 'ja';
+  if (han / letters > 0.3) return 'zh';
+  const scripts = [['ko', /\p{Script=Hangul}/gu], ['hi', /\p{Script=Devanagari}/gu], ['ar', /\p{Script=Arabic}/gu],
+    ['ru', /\p{Script=Cyrillic}/gu], ['th', /\p{Script=Thai}/gu], ['he', /\p{Script=Hebrew}/gu], ['el', /\p{Script=Greek}/gu]];
+  for (const [lang, re] of scripts) if (count(re) / letters > 0.3) return lang;
+
+  const words = sample.toLowerCase().match(/\p{L}+/gu) || [];
+  let best = null;
+  let second = 0;
+  for (const lang of ['en', 'es', 'de', 'fr', 'it', 'pt']) {
+    const set = STOPWORD_SETS[lang];
+    const score = words.filter(w => set.has(w)).length / (words.length || 1);
+    if (!best || score > best.score) { second = best ? best.score : 0; best = {lang, score}; }
+    else if (score > second) second = score;
+  }
+  const hinted = baseLanguage(hint);
+  // short or ambiguous text: trust the page's declared language
+  if (hinted && (words.length < 20 || best.score - second < 0.02)) return hinted;
+  if (best.score >= 0.08) return best.lang;
+  return hinted || 'en';
+}
+
+const segmenterCache = new Map();
+function getSegmenter(lang, granularity) {
+  if (typeof Intl === 'undefined' || typeof Intl.Segmenter !== 'function') return null;
+  const key = lang + ':' + granularity;
+  if (!segmenterCache.has(key)) {
+    try { segmenterCache.set(key, new Intl.Segmenter(lang || undefined, {granularity})); } catch (e) { segmenterCache.set(key, null); }
+  }
+  return segmenterCache.get(key);
+}
+
+// Sentences of a paragraph (trimmed, exact substrings of the input)
+function splitSentences(text, lang = 'en') {
+  const s = String(text || '');
+  const segmenter = getSegmenter(lang, 'sentence');
+  const parts = segmenter
+    ? Array.from(segmenter.segment(s), seg => seg.segment)
+    : s.split(new RegExp(`(?<=[${SENTENCE_END}])\\s+`));
+  return parts.map(p => p.trim()).filter(Boolean);
+}
+
+// Words of a text, lowercased (word-like segments only; no punctuation or spaces)
+function segmentWords(text, lang = 'en') {
+  const s = String(text || '').toLowerCase();
+  const segmenter = getSegmenter(lang, 'word');
+  if (segmenter) return Array.from(segmenter.segment(s)).filter(seg => seg.isWordLike).map(seg => seg.segment);
+  return s.match(/[\p{L}\p{N}\p{M}]+/gu) || [];
+}
+
+function isStopword(word, lang) {
+  const set = STOPWORD_SETS[lang];
+  return !!set && set.has(word);
+}
@@ -0,0 +1,288 @@
+// library.js — library page: every saved summary and conversation, with search, filters, bulk delete
+// and export/import. Pages come from listPages() in storage.js; search ranks them with BM25
+// (retrieval.js) over their title, summary and Q&A. Opening a page lets the content script restore
+// its saved highlights. Exports and imports go through exporter.js.
+
+document.addEventListener('DOMContentLoaded', () => {
+  localizePage();
+  const searchInput = document.getElementById('search');
+  const domainFilter = document.getElementById('domainFilter');
+  const dateFilter = document.getElementById('dateFilter');
+  const sortOrder = document.getElementById('sortOrder');
+  const selectAll = document.getElementById('selectAll');
+  const countEl = document.getElementById('count');
+  const deleteBtn = document.getElementById('deleteSelectedBtn');
+  const exportFormat = document.getElementById('exportFormat');
+  const exportBtn = document.getElementById('exportBtn');
+  const importBtn = document.getElementById('importBtn');
+  const importFile = document.getElementById('importFile');
+  const importStatus = document.getElementById('importStatus');
+  const entriesEl = document.getElementById('entries');
+  const emptyEl = document.getElementById('empty');
+
+  let pages = [];
+  let visible = [];
+  const selected = new Set();
+  // the sort follows the search ("Best match") until the user picks one
+  let sortChosen = false;
+  sortOrder.value = 'saved';
+
+  function displayTitle(page) {
+    return page.title || page.key;
+  }
+
+  // When a page was last saved: its summary or its newest answer
+  function savedAt(page) {
+    const times = page.history.map(h => h.at || 0).concat(page.summary ? [page.summary.updated || 0] : []);
+    return Math.max(0, ...times) || page.created;
+  }
+
+  // Text that search looks at: title, summary bullets, questions and answers
+  function searchText(page) {
+    const parts = [page.title];
+    if (page.summary) parts.push((page.summary.summary || []).join('\n'));
+    for (const h of page.history) parts.push(h.question, h.answer);
+    return parts.filter(Boolean).join('\n');
+  }
+
+  // Where the summary and answers came from: provider ids (see AI_BACKENDS), extractive-fallback, mock
+  function sourcesOf(page) {
+    const out = [];
+    if (page.summary && page.summary.source) out.push(page.summary.source);
+    for (const h of page.history) if (h.source && !out.includes(h.source)) out.push(h.source);
+    return out;
+  }
+
+  function fillDomains() {
+    const counts = new Map();
+    for (const p of pages) counts.set(siteOf(p.key), (counts.get(siteOf(p.key)) || 0) + 1);
+    const current = domainFilter.value;
+    domainFilter.innerHTML = '';
+    const all = document.createElement('option');
+    all.value = '';
+    all.textContent = i18n('libraryAllSites');
+    domainFilter.appendChild(all);
+    for (const site of Array.from(counts.keys()).sort()) {
+      const o = document.createElement('option');
+      o.value = site;
+      o.textContent = `${site || '—'} (${formatNumber(counts.get(site))})`;
+      domainFilter.appendChild(o);
+    }
+    domainFilter.value = counts.has(current) ? current : '';
+  }
+
+  // Pages that pass the filters and the search, in the chosen order.
+  // Returns {list, terms, lang}: terms are the analyzed query terms (for <mark>ing matches).
+  function filterPages() {
+    const query = searchInput.value.trim();
+    const site = domainFilter.value;
+    const days = Number(dateFilter.value);
+    const now = Date.now();
+    let list = pages.filter(p => (!site || siteOf(p.key) === site) && (!days || now - savedAt(p) <= days * DAY_MS));
+    let scores = null;
+    const lang = query ? detectLanguage(query, uiLocale()) : 'en';
+    if (query) {
+      const index = buildRetrievalIndex(list.map((p, i) => ({id: i, text: searchText(p)})), lang);
+      scores = new Map(searchPassages(index, query).map(r => [list[r.passage.id], r.score]));
+      list = list.filter(p => scores.has(p));
+    }
+    const order = sortOrder.value === 'relevance' && !scores ? 'saved' : sortOrder.value;
+    const compare = {
+      relevance: (a, b) => scores.get(b) - scores.get(a),
+      saved: (a, b) => savedAt(b) - savedAt(a),
+      opened: (a, b) => b.accessed - a.accessed,
+      title: (a, b) => displayTitle(a).localeCompare(displayTitle(b), uiLocale()),
+      domain: (a, b) => siteOf(a.key).localeCompare(siteOf(b.key)) || savedAt(b) - savedAt(a),
+      size: (a, b) => b.bytes - a.bytes
+    }[order];
+    return {list: list.sort(compare), terms: new Set(query ? analyzeText(query, lang) : []), lang};
+  }
+
+  // Append text to el with the words that match the search terms in <mark>
+  function appendMarked(el, text, terms, lang) {
+    text = String(text || '');
+    if (!terms.size) {
+      el.appendChild(document.createTextNode(text));
+      return;
+    }
+    let last = 0;
+    for (const m of text.matchAll(/[\p{L}\p{N}\p{M}'’]+/gu)) {
+      if (!analyzeText(m[0], lang).some(t => terms.has(t))) continue;
+      el.appendChild(document.createTextNode(text.slice(last, m.index)));
+      const mark = document.createElement('mark');
+      mark.textContent = m[0];
+      el.appendChild(mark);
+      last = m.index + m[0].length;
+    }
+    el.appendChild(document.createTextNode(text.slice(last)));
+  }
+
+  function renderEntry(page, terms, lang) {
+    const row = document.createElement('section');
+    row.className = 'card entry';
+    const check = document.createElement('input');
+    check.type = 'checkbox';
+    check.checked = selected.has(page.key);
+    check.addEventListener('change', () => {
+      if (check.checked) selected.add(page.key);
+      else selected.delete(page.key);
+      updateBulk();
+    });
+
+    const body = document.createElement('div');
+    body.className = 'entry-body';
+    // the content script restores the saved highlights when the page loads
+    const link = document.createElement('a');
+    link.className = 'entry-title';
+    link.href = page.key;
+    link.target = '_blank';
+    link.rel = 'noopener';
+    appendMarked(link, displayTitle(page), terms, lang);
+    body.appendChild(link);
+
+    const meta = document.createElement('div');
+    meta.className = 'entry-meta';
+    const parts = [siteOf(page.key), formatDateTime(savedAt(page))];
+    if (page.summary && page.summary.style && SUMMARY_STYLES[page.summary.style]) parts.push(SUMMARY_STYLES[page.summary.style].label);
+    if (page.history.length) parts.push(i18nPlural('threadQuestions', page.history.length));
+    meta.appendChild(document.createTextNode(parts.filter(Boolean).join(' · ')));
+    for (const source of sourcesOf(page)) {
+      const badge = document.createElement('span');
+      badge.className = 'badge' + (source === 'extractive-fallback' ? ' fallback' : source === 'mock' ? ' mock' : '');
+      badge.textContent = providerName(source);
+      meta.appendChild(badge);
+    }
+    body.appendChild(meta);
+
+    const bullets = page.summary && Array.isArray(page.summary.summary) ? page.summary.summary : [];
+    if (bullets.length) {
+      const ul = document.createElement('ul');
+      for (const b of bullets) {
+        const li = document.createElement('li');
+        appendMarked(li, b, terms, lang);
+        ul.appendChild(li);
+      }
+      body.appendChild(ul);
+    }
+
+    if (page.history.length) {
+      const details = document.createElement('details');
+      const summary = document.createElement('summary');
+      summary.textContent = i18n('libraryConversation');
+      details.appendChild(summary);
+      let matched = false;
+      for (const h of page.history) {
+        const qa = document.createElement('div');
+        qa.className = 'qa';
+        const q = document.createElement('div');
+        q.className = 'q';
+        appendMarked(q, h.question, terms, lang);
+        const a = document.createElement('div');
+        a.className = 'a';
+        appendMarked(a, h.answer, terms, lang);
+        qa.append(q, a);
+        details.appendChild(qa);
+        if (qa.querySelector('mark')) matched = true;
+      }
+      // searches that hit the conversation show it
+      details.open = matched;
+      body.appendChild(details);
+    }
+
+    row.append(check, body);
+    return row;
+  }
+
+  function updateBulk() {
+    const parts = [i18nPlural('libraryCount', visible.length)];
+    if (selected.size) parts.push(i18nPlural('librarySelected', selected.size));
+    countEl.textContent = parts.join(' · ');
+    deleteBtn.disabled = !selected.size;
+    exportBtn.disabled = !selected.size && !visible.length;
+    selectAll.checked = visible.length > 0 && visible.every(p => selected.has(p.key));
+  }
+
+  function render() {
+    const {list, terms, lang} = filterPages();
+    visible = list;
+    entriesEl.replaceChildren(...list.map(p => renderEntry(p, terms, lang)));
+    emptyEl.hidden = list.length > 0;
+    emptyEl.textContent = pages.length ? i18n('libraryNoMatches') : i18n('libraryEmpty');
+    updateBulk();
+  }
+
+  async function reload() {
+    pages = await listPages();
+    const keys = new Set(pages.map(p => p.key));
+    for (const key of Array.from(selected)) if (!keys.has(key)) selected.delete(key);
+    fillDomains();
+    render();
+  }
+
+  let searchTimer = null;
+  searchInput.addEventListener('input', () => {
+    clearTimeout(searchTimer);
+    searchTimer = setTimeout(() => {
+      if (!sortChosen) sortOrder.value = searchInput.value.trim() ? 'relevance' : 'saved';
+      render();
+    }, 150);
+  });
+  domainFilter.addEventListener('change', render);
+  dateFilter.addEventListener('change', render);
+  sortOrder.addEventListener('change', () => { sortChosen = true; render(); });
+
+  selectAll.addEventListener('change', () => {
+    for (const p of visible) {
+      if (selectAll.checked) selected.add(p.key);
+      else selected.delete(p.key);
+    }
+    render();
+  });
+
+  deleteBtn.addEventListener('click', async () => {
+    if (!selected.size || !confirm(i18nPlural('libraryDeleteConfirm', selected.size))) return;
+    for (const key of Array.from(selected)) await deletePage(key);
+    selected.clear();
+    await reload();
+  });
+
+  // Export the selected pages, or every page shown when none is selected
+  exportBtn.addEventListener('click', () => {
+    const list = selected.size ? pages.filter(p => selected.has(p.key)) : visible;
+    if (!list.length) return;
+    const format = exportFormat.value;
+    const name = `rifcare-library-${new Date().toISOString().slice(0, 10)}`;
+    downloadText(exportFileName(name, format), exportPages(list, format, `${i18n('appName')} — ${i18n('librarySubtitle')}`), EXPORT_FORMATS[format].mime);
+  });
+
+  // Import a JSON export: pages are merged into the saved ones (see importPages in storage.js)
+  importBtn.addEventListener('click', () => importFile.click());
+  importFile.addEventListener('change', async () => {
+    const file = importFile.files[0];
+    importFile.value = '';
+    if (!file) return;
+    const lines = [];
+    try {
+      const {pages: imported, errors} = parseImport(await file.text());
+      const counts = await importPages(imported);
+      lines.push(i18n('libraryImportDone', [formatNumber(counts.added), formatNumber(counts.updated), formatNumber(counts.unchanged)]));
+      if (errors.length) lines.push(i18n('libraryImportSkipped', errors.join('; ')));
+    } catch (err) {
+      console.error('Import failed', err);
+      lines.push(i18n('libraryImportFailed', err && err.message ? err.message : String(err)));
+    }
+    importStatus.textContent = lines.join('\n');
+    importStatus.hidden = false;
+    await reload();
+  });
+
+  // pages saved or deleted from the popup (or evicted) show up here without a reload
+  let reloadTimer = null;
+  chrome.storage.onChanged.addListener((changes, area) => {
+    if (area !== 'local' || !Object.keys(changes).some(k => PAGE_RECORD_PREFIXES.some(p => k.startsWith(p)))) return;
+    clearTimeout(reloadTimer);
+    reloadTimer = setTimeout(reload, 300);
+  });
+
+  reload();
+});
@@ -0,0 +1,140 @@
+// mock_provider.js — a stand-in AI provider for trying every UI state offline
+// While mock mode is on (the popup's Mock toggle) generateText() sends every request — summaries,
+// answers, selection actions, streamed or not — here instead of to a model (providerOrder in
+// providers.js). Output comes from fixtures/mock.json, whose entries are matched against the tab's
+// URL ("*" matches any run of characters; the first match wins), and starts streaming after the
+// mockLatencyMs setting. mockScenario injects failures: the model unavailable or not downloaded
+// yet, a model that stalls (a timeout), malformed output or an error.
+// Loaded by background.js (importScripts) and popup.js (the simulated model download), after
+// providers.js; runs use summarizer.js for highlights the fixture leaves out.
+
+const MOCK_FIXTURES_PATH = 'fixtures/mock.json';
+// Output streams in pieces of this many characters, one per step
+const MOCK_STREAM_PIECE = 24;
+const MOCK_STREAM_STEP_MS = 30;
+const MOCK_DOWNLOAD_STEPS = 10;
+// The 'timeout' scenario stalls this long (or until cancelled), longer than the popup waits for
+// output and than queueModelCall's deadline, so both are what end it
+const MOCK_STALL_MS = 10 * 60 * 1000;
+
+let mockFixtures = null;
+
+// Fixture entries, loaded once; a missing or broken file leaves none (the output is then generic)
+function loadMockFixtures() {
+  if (!mockFixtures) {
+    mockFixtures = fetch(chrome.runtime.getURL(MOCK_FIXTURES_PATH))
+      .then(res => res.json())
+      .then(json => (json && Array.isArray(json.fixtures) ? json.fixtures : []))
+      .catch(() => []);
+  }
+  return mockFixtures;
+}
+
+function mockPatternMatches(pattern, url) {
+  const source = String(pattern).split('*').map(p => p.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*');
+  return new RegExp(`^${source}$`, 'i').test(url);
+}
+
+// The fixture for a tab's URL, and the values its {placeholders} can use
+async function mockFixtureFor(tabId) {
+  let tab = null;
+  try { tab = await chrome.tabs.get(tabId); } catch (e) { /* no tab: the catch-all fixture */ }
+  const url = tab && tab.url ? tab.url : '';
+  const fixture = (await loadMockFixtures()).find(f => f && f.match && mockPatternMatches(f.match, url)) || {};
+  return {fixture, values: {title: tab && tab.title ? tab.title : '', url}};
+}
+
+function fillMockTemplate(text, values) {
+  return String(text || '').replace(/\{(\w+)\}/g, (m, name) => (name in values ? values[name] : m));
+}
+
+// Resolve after ms, or reject as cancelled when signal aborts first
+function mockDelay(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal && signal.aborted) return reject(cancelledError());
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(cancelledError());
+    };
+    const timer = setTimeout(() => {
+      if (signal) signal.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    if (signal) signal.addEventListener('abort', onAbort, {once: true});
+  });
+}
+
+// What a model following the prompt would answer: the schema the request asks for says which
+function mockOutput(request, fixture, values) {
+  const fill = (text) => fillMockTemplate(text, values);
+  const properties = request.schema && request.schema.properties ? request.schema.properties : {};
+  if (properties.answer) {
+    // the question is the prompt's "Question:" line and {passage} its first passage, with its
+    // citation, so answers can show supported as well as unsupported claims (see handleAIRequest)
+    const question = (String(request.prompt).match(/^Question: (.*)$/m) || [])[1] || '';
+    const first = String(request.prompt).match(/^Passages:\n\[(\d+)\] (.*)$/m);
+    const passage = first ? `${first[2]} [${first[1]}]` : '';
+    const answer = fixture.answer ? fillMockTemplate(fixture.answer, Object.assign({question, passage}, values)) : i18n('mockAnswer', question);
+    return JSON.stringify({answer});
+  }
+  const summary = fixture.summary || {};
+  if (properties.bullets) {
+    const options = request.summary ? request.summary.options : {};
+    const count = options.highlights === undefined ? 4 : options.highlights;
+    let highlights = (summary.highlights || []).map(fill);
+    // highlights the fixture can't know are taken from the text, so they are found on the page
+    if (!summary.highlights && request.summary) {
+      highlights = request.summary.highlights || summarizeExtractive(request.summary.text, 0, count).highlights;
+    }
+    return JSON.stringify({
+      title: fill(summary.title),
+      bullets: (summary.bullets || []).map(fill).slice(0, options.bullets || undefined),
+      highlights: highlights.slice(0, count),
+      entities: (summary.entities || []).map(fill)
+    });
+  }
+  return fill(fixture.selection || (summary.bullets || []).map(b => `- ${b}`).join('\n'));
+}
+
+// Output a model might give when it ignores the format: a preamble, then JSON cut off in a fence
+function malformMockOutput(text) {
+  if (!text.startsWith('{')) return `Here you go:\n${text.replace(/^- /gm, '* ')}`;
+  return 'Sure! Here is the result:\n```json\n' + text.slice(0, Math.ceil(text.length * 0.6));
+}
+
+async function runMockProvider(tabId, request, settings, onDelta, signal) {
+  const {fixture, values} = await mockFixtureFor(tabId);
+  await mockDelay(settings.mockLatencyMs, signal);
+  if (settings.mockScenario === 'timeout') {
+    await mockDelay(MOCK_STALL_MS, signal);
+    throw new Error(i18n('errModelTimeout'));
+  }
+  if (settings.mockScenario === 'error') throw new Error(i18n('errMockFailure'));
+  let text = mockOutput(request, fixture, values);
+  if (settings.mockScenario === 'malformed') text = malformMockOutput(text);
+  if (onDelta) {
+    for (let i = 0; i < text.length; i += MOCK_STREAM_PIECE) {
+      if (i) await mockDelay(MOCK_STREAM_STEP_MS, signal);
+      onDelta(text.slice(i, i + MOCK_STREAM_PIECE));
+    }
+  }
+  return text;
+}
+
+// Pretend to download the model over mockLatencyMs (at least half a second); the 'downloadable'
+// scenario then turns back into 'normal' so the popup sees the model become available
+async function downloadMockModel(onProgress) {
+  const settings = await loadSettings();
+  const step = Math.max(settings.mockLatencyMs, 500) / MOCK_DOWNLOAD_STEPS;
+  for (let i = 1; i <= MOCK_DOWNLOAD_STEPS; i++) {
+    await mockDelay(step);
+    onProgress(i / MOCK_DOWNLOAD_STEPS);
+  }
+  if (settings.mockScenario === 'downloadable') await saveSettings({mockScenario: 'normal'});
+}
+
+AI_PROVIDERS.mock = {
+  availability: async (tabId, settings) => (['unavailable', 'downloadable'].includes(settings.mockScenario) ? settings.mockScenario : 'available'),
+  run: runMockProvider,
+  download: downloadMockModel
+};
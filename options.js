@@ -0,0 +1,127 @@
+// options.js — options page: edits the settings defined in settings.js
+
+document.addEventListener('DOMContentLoaded', () => {
+  localizePage();
+  const statusEl = document.getElementById('status');
+  const orderList = document.getElementById('backendOrder');
+  const fields = Array.from(document.querySelectorAll('[data-setting]'));
+
+  function fillSelect(select, entries) {
+    select.innerHTML = '';
+    for (const [value, label] of entries) {
+      const o = document.createElement('option');
+      o.value = value;
+      o.textContent = label;
+      select.appendChild(o);
+    }
+  }
+
+  function languageLabel(code) {
+    if (code === 'page') return i18n('languagePage');
+    if (code === 'ui') return i18n('languageUi');
+    try { return new Intl.DisplayNames([uiLocale()], {type: 'language'}).of(code); } catch (e) { return code; }
+  }
+
+  fillSelect(document.getElementById('summaryStyle'), Object.entries(SUMMARY_STYLES).map(([id, s]) => [id, s.label]));
+  fillSelect(document.getElementById('summaryLength'), Object.entries(SUMMARY_LENGTHS).map(([id, l]) => [id, l.label]));
+  fillSelect(document.getElementById('outputLanguage'), OUTPUT_LANGUAGES.map(code => [code, languageLabel(code)]));
+  fillSelect(document.getElementById('mockScenario'), MOCK_SCENARIOS.map(id => [id, i18n(`mockScenario_${id}`)]));
+
+  // --- Backend order: every known backend is listed; unchecked ones are disabled ---
+  function renderBackendOrder(order) {
+    orderList.innerHTML = '';
+    const all = order.concat(Object.keys(AI_BACKENDS).filter(id => !order.includes(id)));
+    for (const id of all) {
+      const li = document.createElement('li');
+      li.dataset.backend = id;
+      const check = document.createElement('input');
+      check.type = 'checkbox';
+      check.checked = order.includes(id);
+      const label = document.createElement('span');
+      label.textContent = AI_BACKENDS[id].label;
+      const up = document.createElement('button');
+      up.textContent = '▲';
+      up.title = i18n('moveUp');
+      up.addEventListener('click', () => { if (li.previousElementSibling) orderList.insertBefore(li, li.previousElementSibling); });
+      const down = document.createElement('button');
+      down.textContent = '▼';
+      down.title = i18n('moveDown');
+      down.addEventListener('click', () => { if (li.nextElementSibling) orderList.insertBefore(li.nextElementSibling, li); });
+      li.append(check, label, up, down);
+      orderList.appendChild(li);
+    }
+  }
+
+  function readBackendOrder() {
+    return Array.from(orderList.children).filter(li => li.querySelector('input').checked).map(li => li.dataset.backend);
+  }
+
+  function render(settings) {
+    for (const el of fields) {
+      const value = settings[el.dataset.setting];
+      if (el.type === 'checkbox') el.checked = !!value;
+      // domain and pattern lists are edited one per line
+      else if (Array.isArray(value)) el.value = value.join('\n');
+      else el.value = value;
+    }
+    renderBackendOrder(settings.backendOrder);
+  }
+
+  function read() {
+    const out = {};
+    for (const el of fields) {
+      out[el.dataset.setting] = el.type === 'checkbox' ? el.checked : el.value;
+    }
+    out.backendOrder = readBackendOrder();
+    return out;
+  }
+
+  function showErrors(errors) {
+    for (const el of document.querySelectorAll('[data-error]')) el.textContent = errors[el.dataset.error] || '';
+  }
+
+  // "12 pages · 1.4 MB"
+  async function showUsage() {
+    const usage = await storageUsage();
+    const size = formatNumber(usage.bytes / (1024 * 1024), {style: 'unit', unit: 'megabyte', maximumFractionDigits: 1});
+    document.getElementById('storageUsage').textContent = i18nPlural('storageUsage', usage.pages, [size]);
+  }
+
+  function flash(message) {
+    statusEl.textContent = message;
+    setTimeout(() => { if (statusEl.textContent === message) statusEl.textContent = ''; }, 2500);
+  }
+
+  loadSettings().then(render);
+  showUsage();
+
+  document.getElementById('saveBtn').addEventListener('click', async () => {
+    const {errors} = validateSettings(read());
+    showErrors(errors);
+    if (Object.keys(errors).length) {
+      statusEl.textContent = i18n('optFixErrors');
+      return;
+    }
+    const result = await saveSettings(read());
+    render(result.settings);
+    // lower limits take effect right away
+    await enforceStorageLimits(result.settings);
+    showUsage();
+    flash(i18n('optSaved'));
+  });
+
+  document.getElementById('resetBtn').addEventListener('click', async () => {
+    if (!confirm(i18n('optResetConfirm'))) return;
+    const settings = await resetSettings();
+    showErrors({});
+    render(settings);
+    flash(i18n('optDefaultsRestored'));
+  });
+
+  document.getElementById('deleteAllBtn').addEventListener('click', async () => {
+    if (!confirm(i18n('deleteAllConfirm'))) return;
+    await deleteAllPages();
+    showUsage();
+    flash(i18n('deleteAllDone'));
+  });
+});
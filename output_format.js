@@ -0,0 +1,147 @@
+// output_format.js — what the model is asked to answer with and how its output is read back
+// Summaries and answers are JSON objects (SUMMARY_SCHEMA, ANSWER_SCHEMA). Providers pass the schema
+// to the model as a response constraint where the API has one (providers.js); the others only
+// get the prompt's instruction, so the parsers accept what comes back anyway: JSON wrapped in a code
+// fence or cut off mid-stream (repaired), the older "- " bullets + ===HIGHLIGHTS=== format, and
+// plain text. Shared by background.js (importScripts), the content scripts and popup.js (script tag).
+
+const SUMMARY_SCHEMA = {
+  type: 'object',
+  properties: {
+    title: {type: 'string'},
+    bullets: {type: 'array', items: {type: 'string'}},
+    highlights: {type: 'array', items: {type: 'string'}},
+    entities: {type: 'array', items: {type: 'string'}}
+  },
+  required: ['bullets', 'highlights']
+};
+
+const ANSWER_SCHEMA = {
+  type: 'object',
+  properties: {answer: {type: 'string'}},
+  required: ['answer']
+};
+
+// The prompt's side of the schemas
+const SUMMARY_JSON_INSTRUCTION = 'Reply with only a JSON object of the form {"title": "a short title for the page", "bullets": ["bullet point", ...], "highlights": ["sentence copied exactly", ...], "entities": ["up to 5 key people, organizations, places or terms"]}.';
+const ANSWER_JSON_INSTRUCTION = 'Reply with only a JSON object of the form {"answer": "the answer with its citations"}.';
+
+// Delimiter of the older output format: bullets, then one highlight sentence per line
+const HIGHLIGHTS_DELIMITER = '===HIGHLIGHTS===';
+
+// Output that is (or is becoming) a JSON object, possibly in a code fence or after a preamble
+function looksLikeJson(raw) {
+  const text = String(raw || '');
+  return /^\s*(?:```(?:json)?\s*)?\{\s*(?:"|$)/i.test(text) || /\{\s*"\w+"\s*:/.test(text);
+}
+
+// Walk JSON text up to the end of its top-level value: the text of that value, the brackets still
+// open (as the closers that would end them) and whether it stops inside a string
+function scanJson(text) {
+  const closers = [];
+  let inString = false;
+  let escaped = false;
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (inString) {
+      if (escaped) escaped = false;
+      else if (ch === '\\') escaped = true;
+      else if (ch === '"') inString = false;
+    } else if (ch === '"') {
+      inString = true;
+    } else if (ch === '{' || ch === '[') {
+      closers.push(ch === '{' ? '}' : ']');
+    } else if ((ch === '}' || ch === ']') && closers.length) {
+      closers.pop();
+      if (!closers.length) return {body: text.slice(0, i + 1), closers: '', inString: false};
+    }
+  }
+  return {body: text, closers: closers.reverse().join(''), inString};
+}
+
+// Parse the JSON object in model output, repairing what a model or a cut-off stream leaves
+// broken: text around it, trailing commas, an unfinished string, member or bracket.
+// Returns the object, or null when there is none.
+function parseJsonLoosely(raw) {
+  let text = String(raw || '');
+  const fenced = text.match(/```(?:json)?\s*([\s\S]*?)(?:```|$)/i);
+  if (fenced) text = fenced[1];
+  const start = text.indexOf('{');
+  if (start < 0) return null;
+  text = text.slice(start);
+  try { return JSON.parse(text); } catch (e) {}
+  const scanned = scanJson(text);
+  let candidate = scanned.body;
+  // an unfinished string loses a half-written escape and gets its quote
+  if (scanned.inString) candidate = candidate.replace(/\\(?:u[0-9a-fA-F]{0,3})?$/, '') + '"';
+  candidate = candidate.replace(/,(\s*[}\]])/g, '$1');
+  for (let i = 0; i < 8; i++) {
+    try {
+      const value = JSON.parse(candidate + scanned.closers);
+      return value && typeof value === 'object' && !Array.isArray(value) ? value : null;
+    } catch (e) {}
+    // drop the last, unfinished piece: a comma, colon, key or cut-off literal
+    const shorter = candidate.replace(/(?:,|:|"(?:[^"\\]|\\.)*"|[\w.+-]+)\s*$/, '').trimEnd();
+    if (shorter === candidate) break;
+    candidate = shorter;
+  }
+  return null;
+}
+
+// Strings from a JSON list (or a lone string) without list markers; {text} / {name} items count too
+function stringList(value) {
+  const items = Array.isArray(value) ? value : (typeof value === 'string' ? [value] : []);
+  const out = [];
+  for (const item of items) {
+    const s = typeof item === 'string' ? item : (item && typeof item === 'object' ? item.text || item.name || '' : '');
+    const clean = String(s).replace(/^\s*(?:[-*•]|\d+[.)])\s+/, '').trim();
+    if (clean && !out.includes(clean)) out.push(clean);
+  }
+  return out;
+}
+
+// The older format: "- " lines, the delimiter, then one sentence per line. Text without list
+// markers or delimiter (a model ignoring the format) is split into sentences rather than kept as
+// one long bullet.
+function parseDelimitedSummary(raw) {
+  const [bulletsPart, highlightsPart] = String(raw || '').split(HIGHLIGHTS_DELIMITER);
+  const lines = (bulletsPart || '').split(/\n|\r/).map(l => l.trim()).filter(Boolean);
+  let bullets = lines.map(l => l.replace(/^(?:[-*•\s]+|\d+[.)]\s+)/, '').trim()).filter(Boolean);
+  const listed = lines.some(l => /^(?:[-*•]|\d+[.)])\s/.test(l));
+  if (bullets.length === 1 && !listed && highlightsPart === undefined) {
+    bullets = bullets[0].split(/(?<=[.!?。！？])\s+/).map(s => s.trim()).filter(Boolean);
+  }
+  const highlights = (highlightsPart || '').split(/\n|\r/).map(l => l.trim()).filter(Boolean);
+  return {bullets, highlights};
+}
+
+// Read a summary from model output (complete or partial): {bullets, highlights, title, entities}
+function parseSummaryResponse(raw) {
+  const json = looksLikeJson(raw) ? parseJsonLoosely(raw) : null;
+  if (json) {
+    return {
+      bullets: stringList(json.bullets),
+      highlights: stringList(json.highlights),
+      title: typeof json.title === 'string' ? json.title.trim() : '',
+      entities: stringList(json.entities)
+    };
+  }
+  return Object.assign(parseDelimitedSummary(raw), {title: '', entities: []});
+}
+
+// Read an answer from model output (complete or partial); output that isn't JSON is the answer,
+// and JSON without an "answer" string answers with its first string field. '' when there is none.
+function parseAnswerResponse(raw) {
+  const text = String(raw || '');
+  if (!looksLikeJson(text)) return text.trim();
+  const json = parseJsonLoosely(text);
+  if (!json) return text.trim();
+  if (typeof json.answer === 'string') return json.answer.trim();
+  const other = Object.values(json).find(v => typeof v === 'string' && v.trim());
+  return other ? other.trim() : '';
+}
+
+// Summary output in the format the model is asked for, for summaries made without one
+function formatSummaryOutput(bullets, highlights, extra = {}) {
+  return JSON.stringify(Object.assign({}, extra, {bullets, highlights}));
+}
@@ -0,0 +1,574 @@
+// pdf_text.js — the text of PDF files, for pages shown in Chrome's PDF viewer
+// Loaded by background.js (importScripts). The viewer has no page text a content script could
+// read, so extractPageText fetches the file and reads it here. This is not a renderer: it follows
+// the text operators of each page (and of the forms it draws) in order, decoding strings through
+// the fonts' ToUnicode maps or their simple encodings. Objects are found by scanning the file,
+// object streams included, so damaged cross-reference tables don't matter. Encrypted files and
+// scanned pages (images only) have no text it can read.
+
+// Larger files aren't fetched
+const PDF_MAX_BYTES = 50 * 1024 * 1024;
+// Reading stops once this much text is collected (prompts never use more, see formatPageContent)
+const PDF_MAX_CHARS = 200000;
+// Forms drawn inside forms are followed this deep
+const PDF_MAX_FORM_DEPTH = 4;
+
+// Whether a URL names a PDF file (by its extension; the content type is checked in extractPageText)
+function isPdfUrl(url) {
+  try { return /\.pdf$/i.test(new URL(url).pathname); } catch (e) { return false; }
+}
+
+// --- Bytes. File contents are kept as strings of one character per byte, so they can be scanned
+// with regular expressions.
+
+function pdfBytesToString(bytes) {
+  let s = '';
+  for (let i = 0; i < bytes.length; i += 8192) s += String.fromCharCode.apply(null, bytes.subarray(i, i + 8192));
+  return s;
+}
+
+function pdfStringToBytes(s) {
+  const bytes = new Uint8Array(s.length);
+  for (let i = 0; i < s.length; i++) bytes[i] = s.charCodeAt(i) & 0xff;
+  return bytes;
+}
+
+// Inflate zlib data (some writers leave the header out). Output decoded before damaged or trailing
+// bytes is kept; null when nothing could be decoded.
+async function pdfInflate(bytes) {
+  for (const format of ['deflate', 'deflate-raw']) {
+    const reader = new Blob([bytes]).stream().pipeThrough(new DecompressionStream(format)).getReader();
+    const chunks = [];
+    try {
+      for (;;) {
+        const {done, value} = await reader.read();
+        if (done) break;
+        chunks.push(value);
+      }
+    } catch (e) {
+      // keep what came out before the error
+    }
+    if (chunks.length) return pdfConcat(chunks);
+  }
+  return null;
+}
+
+function pdfConcat(chunks) {
+  const out = new Uint8Array(chunks.reduce((n, c) => n + c.length, 0));
+  let at = 0;
+  for (const chunk of chunks) { out.set(chunk, at); at += chunk.length; }
+  return out;
+}
+
+function pdfAsciiHexDecode(s) {
+  const hex = s.replace(/>[\s\S]*$/, '').replace(/[^0-9a-f]/gi, '');
+  const bytes = new Uint8Array(Math.ceil(hex.length / 2));
+  for (let i = 0; i < bytes.length; i++) bytes[i] = parseInt((hex.substr(i * 2, 2) + '0').slice(0, 2), 16);
+  return bytes;
+}
+
+function pdfAscii85Decode(s) {
+  const data = s.replace(/~>[\s\S]*$/, '').replace(/^<~/, '').replace(/\s+/g, '');
+  const out = [];
+  let group = [];
+  const flush = (count) => {
+    let n = 0;
+    for (let i = 0; i < 5; i++) n = n * 85 + (i < group.length ? group[i] : 84);
+    for (let i = 0; i < count; i++) out.push((n >>> (24 - i * 8)) & 0xff);
+    group = [];
+  };
+  for (const c of data) {
+    if (c === 'z' && !group.length) { out.push(0, 0, 0, 0); continue; }
+    const v = c.charCodeAt(0) - 33;
+    if (v < 0 || v > 84) continue;
+    group.push(v);
+    if (group.length === 5) flush(4);
+  }
+  if (group.length > 1) flush(group.length - 1);
+  return Uint8Array.from(out);
+}
+
+// --- Syntax. Values are numbers, booleans and null as themselves; names {name}; strings {str}
+// (bytes as characters); arrays; dictionaries as objects; references {ref}; and, in content
+// streams, operators {op}. parse() returns undefined at the end of the input.
+
+const PDF_WHITESPACE = '\0\t\n\f\r ';
+const PDF_DELIMITERS = '()<>[]{}/%';
+
+function pdfParser(src, pos = 0) {
+  return {src, pos};
+}
+
+function pdfSkipSpace(p) {
+  const s = p.src;
+  while (p.pos < s.length) {
+    const c = s[p.pos];
+    if (c === '%') {
+      while (p.pos < s.length && s[p.pos] !== '\n' && s[p.pos] !== '\r') p.pos++;
+    } else if (PDF_WHITESPACE.includes(c)) {
+      p.pos++;
+    } else {
+      break;
+    }
+  }
+}
+
+function pdfRegularRun(p) {
+  const s = p.src;
+  const start = p.pos;
+  while (p.pos < s.length && !PDF_WHITESPACE.includes(s[p.pos]) && !PDF_DELIMITERS.includes(s[p.pos])) p.pos++;
+  return s.slice(start, p.pos);
+}
+
+function pdfLiteralString(p) {
+  const s = p.src;
+  const escapes = {n: '\n', r: '\r', t: '\t', b: '\b', f: '\f'};
+  let out = '';
+  let depth = 1;
+  p.pos++;
+  while (p.pos < s.length) {
+    const c = s[p.pos++];
+    if (c === '\\') {
+      const next = s[p.pos++];
+      if (next in escapes) out += escapes[next];
+      else if (/[0-7]/.test(next)) {
+        let octal = next;
+        while (octal.length < 3 && /[0-7]/.test(s[p.pos])) octal += s[p.pos++];
+        out += String.fromCharCode(parseInt(octal, 8) & 0xff);
+      } else if (next === '\r') {
+        if (s[p.pos] === '\n') p.pos++;
+      } else if (next !== '\n' && next !== undefined) {
+        out += next;
+      }
+    } else if (c === '(') {
+      depth++;
+      out += c;
+    } else if (c === ')') {
+      if (--depth === 0) break;
+      out += c;
+    } else {
+      out += c;
+    }
+  }
+  return {str: out};
+}
+
+function pdfParse(p) {
+  pdfSkipSpace(p);
+  const s = p.src;
+  if (p.pos >= s.length) return undefined;
+  const c = s[p.pos];
+  if (c === '<' && s[p.pos + 1] === '<') {
+    p.pos += 2;
+    const dict = {};
+    for (;;) {
+      pdfSkipSpace(p);
+      if (p.pos >= s.length) break;
+      if (s.startsWith('>>', p.pos)) { p.pos += 2; break; }
+      const key = pdfParse(p);
+      if (!key || !key.name) continue;
+      dict[key.name] = pdfParse(p);
+    }
+    return dict;
+  }
+  if (c === '<') {
+    const end = s.indexOf('>', p.pos);
+    const hex = s.slice(p.pos + 1, end === -1 ? s.length : end);
+    p.pos = end === -1 ? s.length : end + 1;
+    return {str: pdfBytesToString(pdfAsciiHexDecode(hex))};
+  }
+  if (c === '(') return pdfLiteralString(p);
+  if (c === '[') {
+    p.pos++;
+    const list = [];
+    for (;;) {
+      pdfSkipSpace(p);
+      if (p.pos >= s.length) break;
+      if (s[p.pos] === ']') { p.pos++; break; }
+      list.push(pdfParse(p));
+    }
+    return list;
+  }
+  if (c === '/') {
+    p.pos++;
+    return {name: pdfRegularRun(p).replace(/#([0-9a-f]{2})/gi, (m, h) => String.fromCharCode(parseInt(h, 16)))};
+  }
+  const number = /[+-]?(?:\d+\.?\d*|\.\d+)/y;
+  number.lastIndex = p.pos;
+  const m = number.exec(s);
+  if (m) {
+    p.pos = number.lastIndex;
+    // "12 0 R" is a reference
+    if (/^\d+$/.test(m[0])) {
+      const ref = /\s+\d+\s+R(?![^\0\t\n\f\r ()<>[\]{}/%])/y;
+      ref.lastIndex = p.pos;
+      if (ref.exec(s)) {
+        p.pos = ref.lastIndex;
+        return {ref: Number(m[0])};
+      }
+    }
+    return Number(m[0]);
+  }
+  const word = pdfRegularRun(p);
+  if (!word) {
+    // a stray delimiter
+    p.pos++;
+    return {op: c};
+  }
+  if (word === 'true') return true;
+  if (word === 'false') return false;
+  if (word === 'null') return null;
+  return {op: word};
+}
+
+// --- Objects
+
+function pdfIsName(value, name) {
+  return !!value && value.name === name;
+}
+
+// Follow references to the value they name
+function pdfResolve(doc, value) {
+  for (let hops = 0; value && value.ref !== undefined && hops < 16; hops++) value = doc.objects.get(value.ref);
+  return value;
+}
+
+// Every "n 0 obj … endobj" in the file; a later definition of a number (an incremental update)
+// replaces the earlier one. Streams are {dict, data}.
+function pdfScanObjects(src) {
+  const objects = new Map();
+  const re = /(\d+)\s+\d+\s+obj\b/g;
+  let m;
+  while ((m = re.exec(src))) {
+    const p = pdfParser(src, re.lastIndex);
+    let value = pdfParse(p);
+    pdfSkipSpace(p);
+    if (src.startsWith('stream', p.pos) && value && typeof value === 'object') {
+      let start = p.pos + 6;
+      if (src[start] === '\r') start++;
+      if (src[start] === '\n') start++;
+      const length = value.Length;
+      let end = typeof length === 'number' ? start + length : -1;
+      // a wrong or indirect /Length: the data ends at "endstream"
+      if (end < 0 || !/^\s*endstream/.test(src.slice(end, end + 32))) {
+        end = src.indexOf('endstream', start);
+        if (end === -1) end = src.length;
+        else if (src[end - 1] === '\n') end -= src[end - 2] === '\r' ? 2 : 1;
+        else if (src[end - 1] === '\r') end--;
+      }
+      value = {dict: value, data: src.slice(start, end)};
+      p.pos = end;
+    }
+    objects.set(Number(m[1]), value);
+    re.lastIndex = Math.max(p.pos, re.lastIndex);
+  }
+  return objects;
+}
+
+// A stream's decoded data (a byte string), or null when a filter can't be decoded (images)
+async function pdfStreamData(doc, stream) {
+  if (!stream || typeof stream.data !== 'string') return null;
+  if (doc.decoded.has(stream)) return doc.decoded.get(stream);
+  let filters = pdfResolve(doc, stream.dict.Filter);
+  filters = Array.isArray(filters) ? filters : (filters ? [filters] : []);
+  let bytes = pdfStringToBytes(stream.data);
+  for (const filter of filters.map(f => pdfResolve(doc, f))) {
+    const name = filter && filter.name;
+    if (name === 'FlateDecode' || name === 'Fl') bytes = await pdfInflate(bytes);
+    else if (name === 'ASCIIHexDecode' || name === 'AHx') bytes = pdfAsciiHexDecode(pdfBytesToString(bytes));
+    else if (name === 'ASCII85Decode' || name === 'A85') bytes = pdfAscii85Decode(pdfBytesToString(bytes));
+    else bytes = null;
+    if (!bytes) break;
+  }
+  const data = bytes ? pdfBytesToString(bytes) : null;
+  doc.decoded.set(stream, data);
+  return data;
+}
+
+// Add the objects packed in object streams (PDF 1.5+) that the file doesn't define directly
+async function pdfUnpackObjectStreams(doc) {
+  for (const value of Array.from(doc.objects.values())) {
+    if (!value || !value.dict || !pdfIsName(value.dict.Type, 'ObjStm')) continue;
+    const data = await pdfStreamData(doc, value);
+    if (!data) continue;
+    const count = pdfResolve(doc, value.dict.N) || 0;
+    const first = pdfResolve(doc, value.dict.First) || 0;
+    const header = pdfParser(data);
+    for (let i = 0; i < count; i++) {
+      const num = pdfParse(header);
+      const offset = pdfParse(header);
+      if (typeof num !== 'number' || typeof offset !== 'number') break;
+      if (!doc.objects.has(num)) doc.objects.set(num, pdfParse(pdfParser(data, first + offset)));
+    }
+  }
+}
+
+// The trailer: the last "trailer" dictionary, or the last cross-reference stream's dictionary
+function pdfTrailer(doc) {
+  let trailer = null;
+  const re = /trailer\s*<</g;
+  let m;
+  while ((m = re.exec(doc.src))) {
+    const dict = pdfParse(pdfParser(doc.src, m.index + 7));
+    if (dict && dict.Root) trailer = Object.assign(trailer || {}, dict);
+  }
+  if (trailer) return trailer;
+  for (const value of doc.objects.values()) {
+    if (value && value.dict && pdfIsName(value.dict.Type, 'XRef') && value.dict.Root) trailer = value.dict;
+  }
+  return trailer || {};
+}
+
+// The pages in order, each with the resources it uses (inherited from the page tree)
+function pdfPages(doc) {
+  let catalog = pdfResolve(doc, doc.trailer.Root);
+  if (!catalog || !catalog.Pages) catalog = Array.from(doc.objects.values()).find(v => v && pdfIsName(v.Type, 'Catalog'));
+  const pages = [];
+  const seen = new Set();
+  const walk = (ref, inherited) => {
+    const node = pdfResolve(doc, ref);
+    if (!node || typeof node !== 'object' || seen.has(node)) return;
+    seen.add(node);
+    const resources = pdfResolve(doc, node.Resources) || inherited;
+    const kids = pdfResolve(doc, node.Kids);
+    if (Array.isArray(kids)) for (const kid of kids) walk(kid, resources);
+    else pages.push({page: node, resources});
+  };
+  if (catalog) walk(catalog.Pages, null);
+  // no usable page tree: every page object, in file order
+  if (!pages.length) {
+    for (const value of doc.objects.values()) if (value && pdfIsName(value.Type, 'Page')) walk(value, null);
+  }
+  return pages;
+}
+
+// --- Fonts
+
+// Characters of the byte codes 128-159 in WinAnsiEncoding (the rest matches Latin-1)
+const PDF_WIN_ANSI_HIGH = '€\u0081‚ƒ„…†‡ˆ‰Š‹Œ\u008dŽ\u008f\u0090‘’“”•–—˜™š›œ\u009džŸ';
+
+// Glyph names whose character isn't the name itself (single letters and digits' names are)
+const PDF_GLYPH_NAMES = {
+  space: ' ', exclam: '!', quotedbl: '"', numbersign: '#', dollar: '$', percent: '%', ampersand: '&',
+  quotesingle: "'", parenleft: '(', parenright: ')', asterisk: '*', plus: '+', comma: ',', hyphen: '-',
+  period: '.', slash: '/', zero: '0', one: '1', two: '2', three: '3', four: '4', five: '5', six: '6',
+  seven: '7', eight: '8', nine: '9', colon: ':', semicolon: ';', less: '<', equal: '=', greater: '>',
+  question: '?', at: '@', bracketleft: '[', backslash: '\\', bracketright: ']', asciicircum: '^',
+  underscore: '_', grave: '`', braceleft: '{', bar: '|', braceright: '}', asciitilde: '~',
+  quoteleft: '‘', quoteright: '’', quotedblleft: '“', quotedblright: '”', quotesinglbase: '‚',
+  quotedblbase: '„', bullet: '•', endash: '–', emdash: '—', ellipsis: '…', minus: '−', fi: 'fi',
+  fl: 'fl', ff: 'ff', ffi: 'ffi', ffl: 'ffl', dagger: '†', daggerdbl: '‡', trademark: '™',
+  copyright: '©', registered: '®', degree: '°', section: '§', paragraph: '¶', multiply: '×',
+  divide: '÷', Euro: '€', germandbls: 'ß', ae: 'æ', AE: 'Æ', oe: 'œ', OE: 'Œ', oslash: 'ø',
+  Oslash: 'Ø', dotlessi: 'ı', guillemotleft: '«', guillemotright: '»', exclamdown: '¡',
+  questiondown: '¿', periodcentered: '·', nbspace: ' '
+};
+
+// Accents of glyph names like "eacute", as combining marks
+const PDF_GLYPH_ACCENTS = {acute: '́', grave: '̀', circumflex: '̂', dieresis: '̈', tilde: '̃', ring: '̊', cedilla: '̧', caron: '̌'};
+
+function pdfGlyphChar(name) {
+  if (name in PDF_GLYPH_NAMES) return PDF_GLYPH_NAMES[name];
+  if (/^[A-Za-z]$/.test(name)) return name;
+  const uni = name.match(/^uni([0-9A-F]{4})/i) || name.match(/^u([0-9A-F]{4,6})$/i);
+  if (uni) return String.fromCodePoint(parseInt(uni[1], 16));
+  const accented = name.match(/^([A-Za-z])(acute|grave|circumflex|dieresis|tilde|ring|cedilla|caron)$/);
+  if (accented) return (accented[1] + PDF_GLYPH_ACCENTS[accented[2]]).normalize('NFC');
+  return '';
+}
+
+// Code -> text of a ToUnicode CMap ("beginbfchar"/"beginbfrange" sections)
+function pdfParseToUnicode(cmap) {
+  const map = new Map();
+  const unicode = (hex) => {
+    let out = '';
+    for (let i = 0; i + 4 <= hex.length; i += 4) out += String.fromCharCode(parseInt(hex.substr(i, 4), 16));
+    return out || String.fromCharCode(parseInt(hex || '0', 16));
+  };
+  const space = cmap.match(/begincodespacerange\s*<([0-9a-f]+)>/i);
+  const bytes = space ? Math.max(1, space[1].length / 2) : 2;
+  for (const section of cmap.match(/beginbfchar[\s\S]*?endbfchar/g) || []) {
+    for (const m of section.matchAll(/<([0-9a-f]+)>\s*<([0-9a-f]*)>/gi)) map.set(parseInt(m[1], 16), unicode(m[2]));
+  }
+  for (const section of cmap.match(/beginbfrange[\s\S]*?endbfrange/g) || []) {
+    for (const m of section.matchAll(/<([0-9a-f]+)>\s*<([0-9a-f]+)>\s*(<[0-9a-f]*>|\[[^\]]*\])/gi)) {
+      const lo = parseInt(m[1], 16);
+      const hi = Math.min(parseInt(m[2], 16), lo + 0xffff);
+      if (m[3][0] === '[') {
+        const targets = m[3].match(/<[0-9a-f]*>/gi) || [];
+        targets.forEach((t, i) => { if (lo + i <= hi) map.set(lo + i, unicode(t.slice(1, -1))); });
+      } else {
+        const hex = m[3].slice(1, -1);
+        // the last character counts up through the range
+        const base = unicode(hex);
+        const last = base.charCodeAt(base.length - 1);
+        for (let code = lo; code <= hi; code++) map.set(code, base.slice(0, -1) + String.fromCharCode(last + code - lo));
+      }
+    }
+  }
+  return {map, bytes};
+}
+
+// How to read a font's strings: {bytes (per code), map (ToUnicode, or null), encoding (256 chars)}
+async function pdfFont(doc, ref) {
+  const font = pdfResolve(doc, ref);
+  if (!font || typeof font !== 'object') return null;
+  if (doc.fonts.has(font)) return doc.fonts.get(font);
+  const info = {bytes: pdfIsName(font.Subtype, 'Type0') ? 2 : 1, map: null, encoding: []};
+  for (let code = 0; code < 256; code++) info.encoding.push(code >= 128 && code < 160 ? PDF_WIN_ANSI_HIGH[code - 128] : String.fromCharCode(code));
+  const encoding = pdfResolve(doc, font.Encoding);
+  const differences = encoding && pdfResolve(doc, encoding.Differences);
+  if (Array.isArray(differences)) {
+    let code = 0;
+    for (const item of differences) {
+      if (typeof item === 'number') code = item;
+      else if (item && item.name !== undefined && code < 256) info.encoding[code++] = pdfGlyphChar(item.name);
+    }
+  }
+  const toUnicode = await pdfStreamData(doc, pdfResolve(doc, font.ToUnicode));
+  if (toUnicode) {
+    const cmap = pdfParseToUnicode(toUnicode);
+    info.map = cmap.map;
+    info.bytes = cmap.bytes;
+  }
+  doc.fonts.set(font, info);
+  return info;
+}
+
+function pdfDecodeString(font, str) {
+  if (!font) return str;
+  // without a ToUnicode map, two-byte codes are glyph numbers: there is no text to recover
+  if (!font.map && font.bytes === 2) return '';
+  let out = '';
+  for (let i = 0; i + font.bytes <= str.length; i += font.bytes) {
+    let code = 0;
+    for (let b = 0; b < font.bytes; b++) code = code * 256 + str.charCodeAt(i + b);
+    const mapped = font.map ? font.map.get(code) : undefined;
+    out += mapped !== undefined ? mapped : (font.bytes === 1 ? font.encoding[code] : '');
+  }
+  return out;
+}
+
+// --- Content streams
+
+// Append the text a content stream shows to out ({text}), a line per text line
+async function pdfContentText(doc, content, resources, out, depth = 0) {
+  const p = pdfParser(content);
+  const fonts = pdfResolve(doc, resources && resources.Font) || {};
+  const xobjects = pdfResolve(doc, resources && resources.XObject) || {};
+  const newline = () => { if (out.text && !out.text.endsWith('\n')) out.text += '\n'; };
+  const space = () => { if (out.text && !/\s$/.test(out.text)) out.text += ' '; };
+  let font = null;
+  let lineY = null;
+  let operands = [];
+  for (let value = pdfParse(p); value !== undefined && out.text.length < PDF_MAX_CHARS; value = pdfParse(p)) {
+    if (!value || value.op === undefined) { operands.push(value); continue; }
+    const args = operands;
+    operands = [];
+    const last = args[args.length - 1];
+    switch (value.op) {
+      case 'Tf':
+        font = args[0] && args[0].name !== undefined ? await pdfFont(doc, fonts[args[0].name]) : null;
+        break;
+      case 'Tj':
+        if (last && last.str !== undefined) out.text += pdfDecodeString(font, last.str);
+        break;
+      case "'":
+      case '"':
+        newline();
+        if (last && last.str !== undefined) out.text += pdfDecodeString(font, last.str);
+        break;
+      case 'TJ':
+        for (const item of Array.isArray(last) ? last : []) {
+          if (item && item.str !== undefined) out.text += pdfDecodeString(font, item.str);
+          // a gap wider than about a sixth of the font size separates words (kerning is smaller)
+          else if (typeof item === 'number' && item < -150) space();
+        }
+        break;
+      case 'Td':
+      case 'TD':
+        if (args[1]) newline();
+        else if (args[0] > 0) space();
+        break;
+      case 'T*':
+        newline();
+        break;
+      case 'Tm':
+        if (lineY !== null && args[5] !== lineY) newline();
+        else space();
+        lineY = args[5];
+        break;
+      case 'BT':
+        lineY = null;
+        break;
+      case 'ET':
+        space();
+        break;
+      case 'Do': {
+        const form = args[0] && args[0].name !== undefined ? pdfResolve(doc, xobjects[args[0].name]) : null;
+        if (!form || !form.dict || !pdfIsName(form.dict.Subtype, 'Form') || depth >= PDF_MAX_FORM_DEPTH) break;
+        const data = await pdfStreamData(doc, form);
+        if (!data) break;
+        newline();
+        await pdfContentText(doc, data, pdfResolve(doc, form.dict.Resources) || resources, out, depth + 1);
+        newline();
+        break;
+      }
+      case 'ID': {
+        // inline image data runs up to "EI"
+        const end = p.src.slice(p.pos).search(/\sEI(?=[\s]|$)/);
+        p.pos = end === -1 ? p.src.length : p.pos + end + 3;
+        break;
+      }
+    }
+  }
+}
+
+// Lines of a page joined into paragraphs: a line runs on unless it ends a sentence or is short
+// (a heading); words hyphenated across lines are joined
+function pdfParagraphs(text) {
+  const paragraphs = [];
+  let current = '';
+  for (const line of text.split('\n').map(l => l.replace(/\s+/g, ' ').trim()).filter(Boolean)) {
+    if (!current) current = line;
+    else if (/\p{L}-$/u.test(current) && /^\p{Ll}/u.test(line)) current = current.slice(0, -1) + line;
+    else if (/[.!?:;”"»)]$/.test(current) || current.length < 40) { paragraphs.push(current); current = line; }
+    else current += ' ' + line;
+  }
+  if (current) paragraphs.push(current);
+  return paragraphs.join('\n\n');
+}
+
+// A text string of the document information (title): UTF-16 with a byte order mark, or Latin-1
+function pdfTextString(value) {
+  if (!value || typeof value.str !== 'string') return '';
+  const s = value.str;
+  if (!s.startsWith('\xfe\xff')) return s;
+  let out = '';
+  for (let i = 2; i + 1 < s.length; i += 2) out += String.fromCharCode(s.charCodeAt(i) * 256 + s.charCodeAt(i + 1));
+  return out;
+}
+
+// Read a PDF file's text. Resolves to {text, title}; throws on encrypted files.
+async function pdfToText(bytes) {
+  const src = pdfBytesToString(bytes);
+  const doc = {src, objects: pdfScanObjects(src), decoded: new Map(), fonts: new Map()};
+  await pdfUnpackObjectStreams(doc);
+  doc.trailer = pdfTrailer(doc);
+  if (doc.trailer.Encrypt) throw new Error(i18n('errPdfEncrypted'));
+  const pages = [];
+  let length = 0;
+  for (const {page, resources} of pdfPages(doc)) {
+    if (length >= PDF_MAX_CHARS) break;
+    let contents = pdfResolve(doc, page.Contents);
+    contents = Array.isArray(contents) ? contents : [contents];
+    let data = '';
+    for (const part of contents) data += (await pdfStreamData(doc, pdfResolve(doc, part)) || '') + '\n';
+    const out = {text: ''};
+    await pdfContentText(doc, data, resources, out);
+    const text = pdfParagraphs(out.text);
+    if (text) { pages.push(text); length += text.length; }
+  }
+  const info = pdfResolve(doc, doc.trailer.Info) || {};
+  return {text: pages.join('\n\n').slice(0, PDF_MAX_CHARS), title: pdfTextString(pdfResolve(doc, info.Title)).trim()};
+}
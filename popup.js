@@ -1,4 +1,4 @@
-// popup.js — popup sends summarize request to background service worker
+// popup.js — popup and side panel (sidepanel.html) UI; summaries and answers run as background jobs
 
 // Global error handlers: show errors in the popup UI to help debug "popup.html:0 (anonymous function)"
 window.addEventListener('error', (ev) => {
@@ -6,9 +6,9 @@ window.addEventListener('error', (ev) => {
     const msg = (ev && ev.message) ? ev.message : String(ev);
     console.error('Popup error caught:', ev);
     const existing = document.getElementById('summaryArea');
-    if (existing) existing.textContent = 'Error: ' + msg;
+    if (existing) existing.textContent = i18n('errorPrefix', msg);
     else {
-      const d = document.createElement('div'); d.style.padding='12px'; d.style.color='red'; d.textContent = 'Error: ' + msg; document.body.prepend(d);
+      const d = document.createElement('div'); d.style.padding='12px'; d.style.color='red'; d.textContent = i18n('errorPrefix', msg); document.body.prepend(d);
     }
   } catch (e) {
     console.error('Failed to display popup error', e);
@@ -19,12 +19,14 @@ window.addEventListener('unhandledrejection', (ev) => {
     const reason = ev && ev.reason ? (ev.reason.message || String(ev.reason)) : String(ev);
     console.error('Unhandled promise rejection in popup:', ev);
     const existing = document.getElementById('summaryArea');
-    if (existing) existing.textContent = 'Error: ' + reason;
-    else { const d = document.createElement('div'); d.style.padding='12px'; d.style.color='red'; d.textContent = 'Error: ' + reason; document.body.prepend(d); }
+    if (existing) existing.textContent = i18n('errorPrefix', reason);
+    else { const d = document.createElement('div'); d.style.padding='12px'; d.style.color='red'; d.textContent = i18n('errorPrefix', reason); document.body.prepend(d); }
   } catch (e) { console.error('Failed to display rejection', e); }
 });
 
 document.addEventListener('DOMContentLoaded', () => {
+  // static strings come from data-i18n attributes in popup.html
+  localizePage();
   const summarizeBtn = document.getElementById('summarizeBtn');
   let summaryArea = document.getElementById('summaryArea');
   const askBtn = document.getElementById('askBtn');
@@ -32,6 +34,35 @@ document.addEventListener('DOMContentLoaded', () => {
   let answerArea = document.getElementById('answerArea');
   let historyArea = document.getElementById('historyArea');
   const mockToggle = document.getElementById('mockToggle');
+  const styleSelect = document.getElementById('styleSelect');
+  const lengthSelect = document.getElementById('lengthSelect');
+
+  // --- Summary style / length selectors (definitions in summary_styles.js) ---
+  function fillSelect(select, options, selected) {
+    if (!select) return;
+    select.innerHTML = '';
+    for (const [id, opt] of Object.entries(options)) {
+      const o = document.createElement('option');
+      o.value = id;
+      o.textContent = opt.label;
+      select.appendChild(o);
+    }
+    select.value = selected;
+  }
+  fillSelect(styleSelect, SUMMARY_STYLES, DEFAULT_SUMMARY_STYLE);
+  fillSelect(lengthSelect, SUMMARY_LENGTHS, DEFAULT_SUMMARY_LENGTH);
+  // the last choice becomes the default style/length (also editable on the options page)
+  loadSettings().then((settings) => {
+    if (styleSelect) styleSelect.value = settings.summaryStyle;
+    if (lengthSelect) lengthSelect.value = settings.summaryLength;
+  });
+  if (styleSelect) styleSelect.addEventListener('change', () => saveSettings({summaryStyle: styleSelect.value}));
+  if (lengthSelect) lengthSelect.addEventListener('change', () => saveSettings({summaryLength: lengthSelect.value}));
+
+  const optionsLink = document.getElementById('optionsLink');
+  if (optionsLink) optionsLink.addEventListener('click', (ev) => { ev.preventDefault(); chrome.runtime.openOptionsPage(); });
+  const libraryLink = document.getElementById('libraryLink');
+  if (libraryLink) libraryLink.addEventListener('click', (ev) => { ev.preventDefault(); chrome.tabs.create({url: chrome.runtime.getURL('library.html')}); });
 
   // --- Collapsible toggles for Summary and History ---
   const summaryToggle = document.getElementById('summaryToggle');
@@ -41,7 +72,8 @@ document.addEventListener('DOMContentLoaded', () => {
     if (collapsed) {
       areaEl.classList.remove('expanded');
       areaEl.classList.add('collapsed');
-      toggleBtn.textContent = '▸';
+      // the collapsed arrow points along the reading direction
+      toggleBtn.textContent = uiDirection() === 'rtl' ? '◂' : '▸';
       toggleBtn.setAttribute('aria-expanded', 'false');
     } else {
       areaEl.classList.remove('collapsed');
@@ -73,7 +105,7 @@ document.addEventListener('DOMContentLoaded', () => {
   if (!summaryArea) {
     summaryArea = document.createElement('div');
     summaryArea.id = 'summaryArea';
-    summaryArea.textContent = 'No summary yet. Click "Summarize Page" to begin.';
+    summaryArea.textContent = i18n('summaryEmpty');
     summaryArea.className = 'collapsible expanded';
     wrap.appendChild(summaryArea);
   }
@@ -81,7 +113,7 @@ document.addEventListener('DOMContentLoaded', () => {
     historyArea = document.createElement('div');
     historyArea.id = 'historyArea';
     historyArea.className = 'collapsible expanded small';
-    historyArea.textContent = 'No history yet.';
+    historyArea.textContent = i18n('historyEmpty');
     wrap.appendChild(historyArea);
   }
   if (!answerArea) {
@@ -97,172 +129,675 @@ document.addEventListener('DOMContentLoaded', () => {
   statusArea.style.marginTop = '6px';
   if (summaryArea.parentNode) summaryArea.parentNode.insertBefore(statusArea, summaryArea.nextSibling);
 
-  function setSummaryText(textArr) {
+  // Show summary bullets; extra.title and extra.entities (from the model) go above and below them
+  function setSummaryText(textArr, extra = {}) {
     if (!textArr || !textArr.length) {
-      summaryArea.textContent = 'No summary available.';
+      summaryArea.textContent = i18n('summaryNone');
       return;
     }
-    summaryArea.innerHTML = '<ul>' + textArr.map(b => `<li>${b}</li>`).join('') + '</ul>';
+    const nodes = [];
+    if (extra.title) {
+      const title = document.createElement('div');
+      title.className = 'summary-title';
+      title.textContent = extra.title;
+      nodes.push(title);
+    }
+    const ul = document.createElement('ul');
+    for (const b of textArr) {
+      const li = document.createElement('li');
+      li.textContent = b;
+      ul.appendChild(li);
+    }
+    nodes.push(ul);
+    if (extra.entities && extra.entities.length) {
+      const entities = document.createElement('div');
+      entities.className = 'small muted';
+      entities.textContent = i18n('summaryEntities', extra.entities.join(', '));
+      nodes.push(entities);
+    }
+    summaryArea.replaceChildren(...nodes);
   }
 
-  function sendMessageToBackground(message, timeout = 20000) {
+  // Stream a request to the background over a 'rifcare-stream' port.
+  // handlers.onJob(job, cancel, detach) gets the background job ({id, request}), a function that
+  // cancels it and one that stops listening (the promise then resolves to null, the job keeps running);
+  // handlers.onProgress(current, total), handlers.onText(fullTextSoFar) are called as events arrive.
+  // Rejects when idleTimeout ms pass without any event from the job, heartbeats included (the
+  // background stopped answering; a stalled model call ends at its deadline, see queueModelCall)
+  // or the port closes before the final response.
+  function streamFromBackground(message, handlers = {}, idleTimeout = 30000) {
     return new Promise((resolve, reject) => {
       let settled = false;
+      let text = '';
+      let timer = null;
+      let port;
+      const finish = (fn, value) => {
+        if (settled) return;
+        settled = true;
+        clearTimeout(timer);
+        try { port.disconnect(); } catch (e) {}
+        fn(value);
+      };
+      const touch = () => {
+        clearTimeout(timer);
+        timer = setTimeout(() => finish(reject, new Error(i18n('noResponseFor', Math.round(idleTimeout / 1000)))), idleTimeout);
+      };
       try {
-        chrome.runtime.sendMessage(message, (resp) => {
-          if (settled) return;
-          settled = true;
-          if (chrome.runtime.lastError) return reject(new Error(chrome.runtime.lastError.message));
-          resolve(resp);
-        });
+        port = chrome.runtime.connect({name: 'rifcare-stream'});
       } catch (err) {
-        if (!settled) { settled = true; reject(err); }
+        return reject(err);
       }
-      setTimeout(() => { if (!settled) { settled = true; reject(new Error('Timeout waiting for background response')); } }, timeout);
+      port.onMessage.addListener((event) => {
+        if (!event) return;
+        touch();
+        if (event.type === 'job' && handlers.onJob) handlers.onJob(event, () => port.postMessage({action:'cancel', jobId: event.id}), () => finish(resolve, null));
+        if (event.type === 'progress' && handlers.onProgress) handlers.onProgress(event.current, event.total);
+        if (event.type === 'reset') text = '';
+        if (event.type === 'delta') {
+          text += event.text || '';
+          if (handlers.onText) handlers.onText(text);
+        }
+        if (event.type === 'done') finish(resolve, event.response);
+      });
+      port.onDisconnect.addListener(() => {
+        finish(reject, new Error(chrome.runtime.lastError ? chrome.runtime.lastError.message : i18n('connectionClosed')));
+      });
+      touch();
+      port.postMessage(message);
     });
   }
 
-  summarizeBtn.addEventListener('click', async () => {
-    summaryArea.textContent = 'Summarizing...';
-    statusArea.textContent = '';
+  // The active tab and the storage key of its page (see storage.js)
+  async function activePage() {
     const [tab] = await chrome.tabs.query({active:true, currentWindow:true});
-    if (!tab || !tab.id) {
-      summaryArea.textContent = 'No active tab found.';
-      return;
+    return {tab, key: tab ? await pageKeyForTab(tab) : null};
+  }
+
+  // Ask the content script to remove its highlights; ignored when it isn't on the page
+  function removePageHighlights(tab) {
+    if (!tab || !tab.id) return;
+    try {
+      chrome.tabs.sendMessage(tab.id, {action: 'remove_highlights'}, () => {
+        if (chrome.runtime.lastError) return;
+      });
+    } catch (e) {}
+  }
+
+  // Status line for a summary: style and where it came from
+  function describeSummary(info) {
+    const parts = [];
+    if (info.style && SUMMARY_STYLES[info.style]) {
+      const style = SUMMARY_STYLES[info.style].label;
+      parts.push(info.length && SUMMARY_LENGTHS[info.length] ? i18n('styleWithLength', [style, SUMMARY_LENGTHS[info.length].label.toLocaleLowerCase(uiLocale())]) : style);
     }
+    if (info.source) parts.push(i18n('sourceLabel', providerName(info.source, info.model)));
+    if (info.translated) parts.push(i18n('translatedOnDevice'));
+    return parts.join(' · ');
+  }
 
-    // read mock flag locally and forward to background
-    const storage = await new Promise(res => chrome.storage.local.get(['rifcare_mock_mode'], res));
-    const mock = !!storage.rifcare_mock_mode;
+  // Requests running in this popup: {action, cancel, detach} each, the functions set once the
+  // background names the job
+  const cancelBtn = document.getElementById('cancelBtn');
+  const runningJobs = new Set();
+  // Counts the pages shown (see showPage); a job's UI only updates the page it was started on
+  let pageView = 0;
 
-    try {
-      const resp = await sendMessageToBackground({action:'summarize', tabId: tab.id, mock}, 25000);
-      if (!resp) throw new Error('No response from background');
-      if (resp.status !== 'ok') {
-        summaryArea.textContent = 'Error: ' + (resp.message || 'Unknown error from background');
-        statusArea.textContent = resp.source ? `Source: ${resp.source}` : '';
-        return;
-      }
+  function updateCancelButton() {
+    if (cancelBtn) cancelBtn.hidden = ![...runningJobs].some(j => j.cancel);
+  }
 
-      const raw = String(resp.text || '');
-      const [bulletsPart, highlightsPart] = raw.split('===HIGHLIGHTS===');
-      const bullets = (bulletsPart||'').split(/\n|\r/).map(l=>l.replace(/^[-\s]*\-?\s*/,'').trim()).filter(Boolean).slice(0,6);
-      const highlights = (highlightsPart||'').split(/\n|\r/).map(l=>l.trim()).filter(Boolean).slice(0,5);
+  // Cancel everything this popup is waiting for; each job then ends as 'cancelled'
+  if (cancelBtn) cancelBtn.addEventListener('click', () => {
+    for (const job of runningJobs) if (job.cancel) job.cancel();
+  });
 
-      setSummaryText(bullets.length ? bullets : [raw.slice(0,500)]);
-      statusArea.textContent = resp.source ? `Source: ${resp.source}` : '';
+  // Run a request as a background job and show it with makeUI(request)'s handlers
+  // ({onProgress, onText, finish(resp), fail(err)}). For {action:'attach'} the request is only known
+  // once the background names the job it reattached to; there may be none.
+  async function runJob(message, makeUI) {
+    const view = pageView;
+    const shown = () => view === pageView;
+    let ui = message.action === 'attach' ? null : makeUI(message);
+    const entry = {action: message.action, cancel: null, detach: null};
+    runningJobs.add(entry);
+    try {
+      const resp = await streamFromBackground(message, {
+        onJob: (job, cancel, detach) => {
+          entry.action = job.request.action;
+          entry.cancel = cancel;
+          entry.detach = detach;
+          if (!shown()) return detach();
+          updateCancelButton();
+          if (!ui) ui = makeUI(job.request);
+        },
+        onProgress: (current, total) => { if (ui && ui.onProgress && shown()) ui.onProgress(current, total); },
+        onText: (partial) => { if (ui && ui.onText && shown()) ui.onText(partial); }
+      });
+      // the side panel moved on to another tab's page (the background saved the result anyway)
+      if (!ui || !shown()) return;
+      if (!resp) throw new Error(i18n('noResponse'));
+      showModelStatus(resp.modelStatus);
+      await ui.finish(resp);
+    } catch (err) {
+      if (ui && shown()) ui.fail(err);
+      else if (!ui) console.warn('Reattaching failed', err);
+    } finally {
+      runningJobs.delete(entry);
+      updateCancelButton();
+    }
+  }
 
-      // instruct content script to highlight sentences
-      try {
-        chrome.tabs.sendMessage(tab.id, {action:'highlight_sentences', sentences: highlights}, (hresp) => {
-          // If content script isn't present, chrome.runtime.lastError will be set.
-          // Check and ignore to prevent unchecked runtime.lastError console warnings.
-          if (chrome.runtime.lastError) {
-            // silently ignore: content script may not be injected on this page
-            return;
-          }
-          // otherwise, handle response if needed
-        });
-      } catch (e) {
-        // no-op
+  // What a summarize job shows while it runs and when it's done
+  function summaryJobUI(key, request) {
+    summaryArea.textContent = i18n('summarizing');
+    statusArea.textContent = '';
+    return {
+      // long pages are summarized chunk by chunk before the final output streams in
+      onProgress: (current, total) => { summaryArea.textContent = i18n('summarizingPart', [formatNumber(current), formatNumber(total)]); },
+      onText: (partial) => {
+        // the output may be JSON still being written; the parser reads what is there so far
+        const parsed = parseSummaryResponse(partial);
+        if (parsed.bullets.length) setSummaryText(parsed.bullets.slice(0, 16), parsed);
+      },
+      finish: async (resp) => {
+        if (resp.status === 'cancelled') {
+          summaryArea.textContent = i18n('summaryCancelled');
+          statusArea.textContent = '';
+          return;
+        }
+        if (resp.status !== 'ok') {
+          summaryArea.textContent = i18n('errorPrefix', resp.message || i18n('errorUnknown'));
+          statusArea.textContent = resp.source ? i18n('sourceLabel', providerName(resp.source, resp.model)) : '';
+          return;
+        }
+
+        // the background sends the parsed summary along with the raw output; it has saved the
+        // summary with the page and had it highlighted there
+        const raw = String(resp.text || '');
+        const data = summaryRecord(resp, Array.isArray(resp.bullets) ? resp : parseSummaryResponse(raw), request);
+        setSummaryText(data.summary.length ? data.summary : [raw.slice(0,500)], {title: data.headline, entities: data.entities});
+        renderHighlights(data.highlights);
+        statusArea.textContent = describeSummary(resp);
+        loadHistory(key);
+      },
+      fail: (err) => {
+        console.error('Summarize failed', err);
+        summaryArea.textContent = i18n('aiErrorPrefix', err && err.message ? err.message : i18n('errorUnknown'));
+        statusArea.textContent = '';
       }
+    };
+  }
 
-      // store summary keyed by URL
-      const data = {summary: bullets, highlights, raw, updated: Date.now()};
-      const o = {}; o[tab.url] = data; chrome.storage.local.set(o, ()=>{});
-      loadHistory(tab.url);
-    } catch (err) {
-      console.error('Summarize failed', err);
-      summaryArea.textContent = 'AI error: ' + (err && err.message ? err.message : 'unknown');
-      statusArea.textContent = '';
+  summarizeBtn.addEventListener('click', async () => {
+    // a second click joins the summary already running rather than starting another
+    if ([...runningJobs].some(j => j.action === 'summarize')) return;
+    const {tab, key} = await activePage();
+    if (!tab || !tab.id) {
+      summaryArea.textContent = i18n('noActiveTab');
+      return;
     }
+
+    const style = styleSelect ? styleSelect.value : DEFAULT_SUMMARY_STYLE;
+    const length = lengthSelect ? lengthSelect.value : DEFAULT_SUMMARY_LENGTH;
+    await runJob({action:'summarize', tabId: tab.id, style, length}, (request) => summaryJobUI(key, request));
   });
 
-  // Clear button: remove all stored data and clear UI
+  // The summary's highlighted sentences (the side panel lists them); clicking one scrolls the page there
+  const highlightsArea = document.getElementById('highlightsArea');
+  function renderHighlights(highlights) {
+    if (!highlightsArea) return;
+    if (!highlights || !highlights.length) {
+      highlightsArea.textContent = i18n('highlightsEmpty');
+      return;
+    }
+    const list = document.createElement('ol');
+    list.className = 'highlight-list';
+    for (const text of highlights) {
+      const li = document.createElement('li');
+      const b = document.createElement('button');
+      b.className = 'ref';
+      b.textContent = text;
+      b.title = i18n('showOnPage');
+      b.addEventListener('click', () => showCitation({text}, b));
+      li.appendChild(b);
+      list.appendChild(li);
+    }
+    highlightsArea.replaceChildren(list);
+  }
+
+  function resetPageUI() {
+    summaryArea.textContent = i18n('summaryEmpty');
+    renderHighlights([]);
+    statusArea.textContent = '';
+    answerArea.textContent = '';
+    if (threadSelect) threadSelect.style.display = 'none';
+    historyArea.textContent = i18n('historyEmpty');
+  }
+
+  // Clear button: delete the summary and conversations saved for this page
   const clearBtn = document.getElementById('clearBtn');
   if (clearBtn) {
     clearBtn.addEventListener('click', async () => {
-      const ok = confirm('Clear all stored summaries and history? This cannot be undone.');
+      const ok = confirm(i18n('clearConfirm'));
       if (!ok) return;
       try {
-        await new Promise((res) => chrome.storage.local.clear(res));
-        // clear UI
-        summaryArea.textContent = 'No summary yet. Click "Summarize Page" to begin.';
-        historyArea.textContent = 'No history yet.';
-        answerArea.textContent = '';
-        // also instruct content script to remove highlights by reloading page content (simple approach)
-        const [tab] = await chrome.tabs.query({active:true, currentWindow:true});
-        if (tab && tab.id) {
-          try {
-            chrome.tabs.sendMessage(tab.id, {action: 'remove_highlights'}, (r) => {
-              if (chrome.runtime.lastError) {
-                // ignore when content script is absent or message failed
-                return;
-              }
-            });
-          } catch(e){}
-        }
+        const {tab, key} = await activePage();
+        if (!key) return;
+        await deletePage(key);
+        resetPageUI();
+        removePageHighlights(tab);
       } catch (err) {
         console.error('Clear failed', err);
-        alert('Failed to clear storage: ' + (err && err.message ? err.message : String(err)));
+        alert(i18n('clearFailed', err && err.message ? err.message : String(err)));
       }
     });
   }
 
-  // Ask question — send request to background service worker to perform AI (or fallback)
-  askBtn.addEventListener('click', async () => {
-    const q = questionInput.value.trim();
-    if (!q) return;
-    answerArea.textContent = 'Thinking...';
+  // "Forget this site": delete every saved page of the active tab's site
+  const forgetSiteLink = document.getElementById('forgetSiteLink');
+  if (forgetSiteLink) {
+    forgetSiteLink.addEventListener('click', async (ev) => {
+      ev.preventDefault();
+      const {tab} = await activePage();
+      const site = tab ? siteOf(tab.url) : '';
+      if (!site || !confirm(i18n('forgetSiteConfirm', site))) return;
+      try {
+        const count = await deleteSite(site);
+        resetPageUI();
+        removePageHighlights(tab);
+        statusArea.textContent = i18nPlural('forgetSiteDone', count);
+      } catch (err) {
+        console.error('Forget site failed', err);
+        alert(i18n('clearFailed', err && err.message ? err.message : String(err)));
+      }
+    });
+  }
+
+  // --- Conversation threads ---
+  // Q&A turns carry a `thread` id (older entries: 'default'); the thread the popup continues is
+  // saved with the page (loadCurrentThread / saveCurrentThread in storage.js).
+  const threadSelect = document.getElementById('threadSelect');
+  const newThreadBtn = document.getElementById('newThreadBtn');
+  let currentThread = 'default';
+  // storage key of the page the conversation belongs to
+  let historyKey = null;
+
+  function threadsOf(hist) {
+    const threads = [];
+    for (const h of hist) {
+      const id = h.thread || 'default';
+      const thread = threads.find(t => t.id === id);
+      if (thread) thread.count++;
+      else threads.push({id, first: h.question, at: h.at, count: 1});
+    }
+    return threads;
+  }
+
+  // Ask the page to highlight and scroll to a cited passage
+  async function showCitation(citation, button) {
     const [tab] = await chrome.tabs.query({active:true, currentWindow:true});
-    if (!tab || !tab.id) { answerArea.textContent = 'No active tab'; return; }
-    const storage = await new Promise(res => chrome.storage.local.get(['rifcare_mock_mode'], res));
-    const mock = !!storage.rifcare_mock_mode;
-    try {
-      const resp = await sendMessageToBackground({action:'ask', tabId: tab.id, question: q, mock}, 25000);
-      if (!resp) throw new Error('No response from background');
-      if (resp.status !== 'ok') {
-        answerArea.textContent = 'Error: ' + (resp.message || 'Unknown error');
-        return;
+    if (!tab || !tab.id) return;
+    chrome.tabs.sendMessage(tab.id, {action:'highlight_citation', quote: citation.text}, (resp) => {
+      const found = !chrome.runtime.lastError && resp && resp.found;
+      button.classList.toggle('missing', !found);
+      button.title = found ? citation.text : i18n('citationMissing');
+    });
+  }
+
+  // Answer text with numbered citation markers, unsupported claims flagged, and the reference list.
+  // Entries saved before citations existed only have `answer`.
+  function renderAnswer(el, entry) {
+    if (!Array.isArray(entry.claims) || !entry.claims.length) {
+      el.textContent = entry.answer;
+      return;
+    }
+    const citations = entry.citations || [];
+    const citeButton = (n) => {
+      const c = citations.find(x => x.n === n);
+      const b = document.createElement('button');
+      b.className = 'cite';
+      b.textContent = `[${n}]`;
+      b.title = c ? c.text : '';
+      if (c) b.addEventListener('click', () => showCitation(c, b));
+      return b;
+    };
+    entry.claims.forEach((claim, i) => {
+      if (i) el.appendChild(document.createTextNode(claim.bullet ? '\n' : ' '));
+      const span = document.createElement('span');
+      span.textContent = (claim.bullet ? '- ' : '') + claim.text;
+      if (claim.supported === false) {
+        span.className = 'unsupported';
+        span.title = i18n('claimUnsupported');
+      }
+      el.appendChild(span);
+      for (const n of claim.refs || []) el.appendChild(citeButton(n));
+    });
+    if (citations.length) {
+      const list = document.createElement('ol');
+      list.className = 'refs';
+      for (const c of citations) {
+        const li = document.createElement('li');
+        const b = document.createElement('button');
+        b.className = 'ref';
+        b.textContent = c.text.length > 140 ? c.text.slice(0, 140) + '…' : c.text;
+        b.title = i18n('showOnPage');
+        b.addEventListener('click', () => showCitation(c, b));
+        li.value = c.n;
+        li.appendChild(b);
+        list.appendChild(li);
       }
-      const answerText = resp.answer || resp.text || (resp.data && resp.data.answer) || '';
-      answerArea.textContent = answerText || 'No answer available.';
-      loadHistory(tab.url);
+      el.appendChild(list);
+    }
+    if (entry.claims.some(c => c.supported === false)) {
+      const note = document.createElement('span');
+      note.className = 'meta unsupported-note';
+      note.textContent = i18n('unsupportedNote');
+      el.appendChild(note);
+    }
+  }
+
+  function renderTurn(entry) {
+    const turn = document.createElement('div');
+    turn.className = 'turn';
+    const q = document.createElement('div');
+    q.className = 'bubble q';
+    q.textContent = entry.question;
+    const a = document.createElement('div');
+    a.className = 'bubble a';
+    renderAnswer(a, entry);
+    if (entry.source) {
+      const m = document.createElement('span');
+      m.className = 'meta';
+      const meta = [i18n('sourceLabel', providerName(entry.source, entry.model))];
+      if (typeof entry.confidence === 'number') meta.push(i18n('confidence', formatNumber(entry.confidence, {style: 'percent', maximumFractionDigits: 0})));
+      if (entry.at) meta.push(formatDateTime(entry.at));
+      m.textContent = meta.join(' · ');
+      a.appendChild(m);
+    }
+    turn.append(q, a);
+    // saved turns can be deleted one by one
+    if (entry.at && historyKey) {
+      const del = document.createElement('button');
+      del.className = 'turn-delete';
+      del.textContent = '×';
+      del.title = i18n('deleteTurnTitle');
+      const key = historyKey;
+      del.addEventListener('click', async () => {
+        await deleteQAEntry(key, entry.at);
+        await loadHistory(key);
+      });
+      turn.appendChild(del);
+    }
+    historyArea.appendChild(turn);
+    return a;
+  }
+
+  // Render the current thread of a page (by storage key); updates historyArea and threadSelect
+  async function loadHistory(key) {
+    historyKey = key;
+    const hist = await loadQAHistory(key);
+    const threads = threadsOf(hist);
+    currentThread = await loadCurrentThread(key) || (hist.length ? (hist[hist.length - 1].thread || 'default') : 'default');
+
+    if (threadSelect) {
+      threadSelect.innerHTML = '';
+      const list = threads.some(t => t.id === currentThread) ? threads : threads.concat([{id: currentThread, first: i18n('newConversation'), count: 0}]);
+      for (const t of list.slice().reverse()) {
+        const o = document.createElement('option');
+        o.value = t.id;
+        const first = t.first.length > 40 ? t.first.slice(0, 40) + '…' : t.first;
+        o.textContent = t.count ? `${first} (${i18nPlural('threadQuestions', t.count)})` : first;
+        threadSelect.appendChild(o);
+      }
+      threadSelect.value = currentThread;
+      threadSelect.style.display = list.length > 1 ? '' : 'none';
+    }
+
+    historyArea.innerHTML = '';
+    const turns = hist.filter(h => (h.thread || 'default') === currentThread);
+    if (!turns.length) {
+      historyArea.textContent = hist.length ? i18n('newConversationHint') : i18n('historyEmpty');
+      return;
+    }
+    for (const h of turns) renderTurn(h);
+  }
+
+  async function setThread(key, threadId) {
+    await saveCurrentThread(key, threadId);
+    await loadHistory(key);
+  }
+
+  if (newThreadBtn) newThreadBtn.addEventListener('click', async () => {
+    const {key} = await activePage();
+    if (!key) return;
+    answerArea.textContent = '';
+    await setThread(key, 't' + Date.now().toString(36));
+    questionInput.focus();
+  });
+  if (threadSelect) threadSelect.addEventListener('change', async () => {
+    const {key} = await activePage();
+    if (key) await setThread(key, threadSelect.value);
+  });
+
+  // --- On-device model download (providers.js) ---
+  // The background says which provider would answer; when its built-in model is downloadable the
+  // card offers the download, and a download already running just shows its progress. The download
+  // runs here because create() needs the click.
+  const modelCard = document.getElementById('modelCard');
+  const modelText = document.getElementById('modelText');
+  const modelProgress = document.getElementById('modelProgress');
+  const modelDownloadBtn = document.getElementById('modelDownloadBtn');
+  let modelDownloading = false;
+
+  function showModelStatus(model) {
+    if (!modelCard || modelDownloading) return;
+    if (!model || (model.availability !== 'downloadable' && model.availability !== 'downloading')) {
+      modelCard.hidden = true;
+      return;
+    }
+    modelCard.hidden = false;
+    modelDownloadBtn.dataset.provider = model.provider;
+    if (model.availability === 'downloading') startModelDownload(model.provider);
+    else {
+      modelText.textContent = i18n('modelDownloadable', providerName(model.provider));
+      modelDownloadBtn.hidden = false;
+      modelProgress.hidden = true;
+    }
+  }
+
+  async function startModelDownload(provider) {
+    if (modelDownloading) return;
+    modelDownloading = true;
+    const name = providerName(provider);
+    modelDownloadBtn.hidden = true;
+    modelProgress.hidden = false;
+    modelProgress.removeAttribute('value');
+    modelText.textContent = i18n('modelDownloading', name);
+    try {
+      await downloadProviderModel(provider, (fraction) => {
+        modelProgress.value = fraction;
+        modelText.textContent = i18n('modelDownloadProgress', [name, formatNumber(fraction, {style: 'percent', maximumFractionDigits: 0})]);
+      });
+      modelProgress.hidden = true;
+      modelText.textContent = i18n('modelReady', name);
+      // the background checks again instead of reusing its "downloading" answer
+      chrome.runtime.sendMessage({action: 'model_status', refresh: true}, () => void chrome.runtime.lastError);
+      setTimeout(() => { modelCard.hidden = true; }, 2500);
+    } catch (err) {
+      console.error('Model download failed', err);
+      modelProgress.hidden = true;
+      modelDownloadBtn.hidden = false;
+      modelText.textContent = i18n('modelDownloadFailed', err && err.message ? err.message : String(err));
+    } finally {
+      modelDownloading = false;
+    }
+  }
+
+  if (modelDownloadBtn) modelDownloadBtn.addEventListener('click', () => startModelDownload(modelDownloadBtn.dataset.provider));
+
+  // Which provider would answer for the tab, and whether its model is on this device
+  function requestModelStatus(tab) {
+    chrome.runtime.sendMessage({action: 'model_status', tabId: tab.id}, (r) => {
+      if (chrome.runtime.lastError || !r || r.status !== 'ok') return;
+      showModelStatus(r.model);
+    });
+  }
+
+  // --- Export: the page's summary and the current conversation (exporter.js) ---
+  const exportFormat = document.getElementById('exportFormat');
+  const copyExportBtn = document.getElementById('copyExportBtn');
+  const downloadExportBtn = document.getElementById('downloadExportBtn');
+
+  // The active page in the shape exporter.js takes, or null when nothing is saved for it
+  async function exportedPage() {
+    const {tab, key} = await activePage();
+    if (!key) return null;
+    const summary = await loadPageSummary(key);
+    const history = (await loadQAHistory(key)).filter(h => (h.thread || 'default') === currentThread);
+    if (!summary && !history.length) return null;
+    return {key, title: tab.title || '', created: 0, accessed: 0, summary, history, thread: currentThread};
+  }
+
+  if (copyExportBtn) copyExportBtn.addEventListener('click', async () => {
+    const page = await exportedPage();
+    if (!page) { statusArea.textContent = i18n('exportNothing'); return; }
+    try {
+      await navigator.clipboard.writeText(exportPages([page], exportFormat.value, page.title));
+      statusArea.textContent = i18n('exportCopied');
     } catch (err) {
-      console.error('Ask failed', err);
-      answerArea.textContent = 'AI error: ' + (err && err.message ? err.message : 'unknown');
+      console.error('Copy failed', err);
+      statusArea.textContent = i18n('exportCopyFailed', err && err.message ? err.message : String(err));
     }
   });
+  if (downloadExportBtn) downloadExportBtn.addEventListener('click', async () => {
+    const page = await exportedPage();
+    if (!page) { statusArea.textContent = i18n('exportNothing'); return; }
+    const format = exportFormat.value;
+    downloadText(exportFileName(page.title || siteOf(page.key), format), exportPages([page], format, page.title), EXPORT_FORMATS[format].mime);
+  });
 
-  // Load history
-  async function loadHistory(url) {
-    const key = 'qa_history_' + url;
-    chrome.storage.local.get([key], (res) => {
-      const hist = res[key] || [];
-      if (!hist.length) {
-        historyArea.textContent = 'No history yet.';
-        return;
+  // What an ask job shows: the pending turn at the end of the conversation while the answer
+  // streams in, then the saved conversation
+  function askJobUI(key, request) {
+    if (historyArea.querySelector('.turn') === null) historyArea.innerHTML = '';
+    setCollapsed(historyArea, historyToggle, false);
+    const pending = renderTurn({question: request.question, answer: i18n('thinking')});
+    historyArea.scrollTop = historyArea.scrollHeight;
+    return {
+      onText: (partial) => { pending.textContent = parseAnswerResponse(partial) || i18n('thinking'); historyArea.scrollTop = historyArea.scrollHeight; },
+      finish: async (resp) => {
+        if (resp.status === 'cancelled') {
+          pending.textContent = i18n('answerCancelled');
+          return;
+        }
+        if (resp.status !== 'ok') {
+          pending.textContent = i18n('errorPrefix', resp.message || i18n('errorUnknown'));
+          return;
+        }
+        if (questionInput.value.trim() === request.question) questionInput.value = '';
+        await loadHistory(key);
+        historyArea.scrollTop = historyArea.scrollHeight;
+      },
+      fail: (err) => {
+        console.error('Ask failed', err);
+        pending.textContent = i18n('aiErrorPrefix', err && err.message ? err.message : i18n('errorUnknown'));
       }
-      historyArea.innerHTML = hist.slice(-5).reverse().map(h => `<div class="history-item"><strong>Q:</strong> ${h.question}<br/><strong>A:</strong> ${h.answer}</div>`).join('<hr/>');
-    });
+    };
   }
 
-  // On open, try to show existing summary for the active tab
-  (async ()=>{
-    const [tab] = await chrome.tabs.query({active:true, currentWindow:true});
+  // Ask question — send request to background service worker to perform AI (or fallback).
+  // The question joins the current thread; the background replays earlier turns to the model.
+  askBtn.addEventListener('click', async () => {
+    const q = questionInput.value.trim();
+    if (!q) return;
+    answerArea.textContent = '';
+    const {tab, key} = await activePage();
+    if (!tab || !tab.id) { answerArea.textContent = i18n('noActiveTab'); return; }
+    await runJob({action:'ask', tabId: tab.id, question: q, threadId: currentThread}, (request) => askJobUI(key, request));
+  });
+
+  // --- The page shown: the active tab's saved summary and conversation, and a request still running
+  // for it. The popup shows it once; the side panel (sidepanel.html) again whenever the active tab
+  // of its window changes or loads another page.
+  const inPanel = document.body.classList.contains('panel');
+  let shownTab = null;
+  let shownKey = null;
+
+  function showSavedSummary(data) {
+    setSummaryText(data.summary, {title: data.headline, entities: data.entities});
+    renderHighlights(data.highlights);
+    statusArea.textContent = describeSummary(data);
+    const orphaned = Array.isArray(data.anchors) ? data.anchors.filter(a => a.orphaned).length : 0;
+    if (orphaned) statusArea.textContent = [statusArea.textContent, i18nPlural('orphanedHighlights', orphaned)].filter(Boolean).join(' · ');
+  }
+
+  // Follow the tab's running request (only its summary when `action` says so), or show the result
+  // of one that finished while nothing was showing it
+  function attachToTab(tab, key, action) {
+    runJob({action:'attach', tabId: tab.id, job: action}, (request) => request.action === 'ask' ? askJobUI(key, request) : summaryJobUI(key, request));
+  }
+
+  async function showPage() {
+    const view = ++pageView;
+    for (const job of runningJobs) if (job.detach) job.detach();
+    const {tab, key} = await activePage();
+    if (view !== pageView) return;
+    shownTab = tab;
+    shownKey = key;
+    resetPageUI();
     if (!tab) return;
-    chrome.storage.local.get([tab.url], (res) => {
-      const data = res[tab.url];
-      if (data && data.summary) setSummaryText(data.summary);
-    });
-    loadHistory(tab.url);
-    // load mock mode setting
-    chrome.storage.local.get(['rifcare_mock_mode'], (res) => {
-      if (mockToggle) mockToggle.checked = !!res.rifcare_mock_mode;
+    requestModelStatus(tab);
+    const data = await loadPageSummary(key);
+    if (view !== pageView) return;
+    if (data && data.summary) {
+      showSavedSummary(data);
+      // showing the page counts as using it (LRU eviction)
+      touchPage(key);
+    }
+    await loadHistory(key);
+    if (tab.id && view === pageView) attachToTab(tab, key);
+  }
+
+  chrome.storage.local.get(['rifcare_mock_mode'], (res) => {
+    if (mockToggle) mockToggle.checked = !!res.rifcare_mock_mode;
+  });
+  showPage();
+
+  // A summary saved for the page meanwhile (an automatic one, or one from another popup or the
+  // context menu) replaces what is shown, unless this page's own summary job will show it
+  chrome.storage.onChanged.addListener((changes, area) => {
+    const change = area === 'local' && shownKey ? changes['summary:' + shownKey] : null;
+    if (!change || !change.newValue || [...runningJobs].some(j => j.action === 'summarize')) return;
+    showSavedSummary(change.newValue);
+  });
+
+  // A summary started in the background for the shown tab streams in here too (auto_summarize.js)
+  chrome.runtime.onMessage.addListener((message) => {
+    if (!message || message.action !== 'summary_started' || !shownTab || message.tabId !== shownTab.id) return;
+    if (![...runningJobs].some(j => j.action === 'summarize')) attachToTab(shownTab, shownKey, 'summarize');
+  });
+
+  if (inPanel) {
+    chrome.windows.getCurrent().then((win) => {
+      chrome.tabs.onActivated.addListener((info) => {
+        if (info.windowId === win.id) showPage();
+      });
+      chrome.tabs.onUpdated.addListener((tabId, changeInfo) => {
+        if (shownTab && tabId === shownTab.id && changeInfo.status === 'complete') showPage();
+      });
     });
-  })();
+  }
+
+  // The popup closes when focus leaves it; the side panel stays open next to the page
+  const sidePanelLink = document.getElementById('sidePanelLink');
+  if (sidePanelLink) sidePanelLink.addEventListener('click', async (ev) => {
+    ev.preventDefault();
+    const win = await chrome.windows.getCurrent();
+    await chrome.sidePanel.open({windowId: win.id});
+    window.close();
+  });
 
-  // Persist mock toggle
+  // Persist mock toggle; in mock mode the background answers with the mock provider (mock_provider.js)
   if (mockToggle) {
     mockToggle.addEventListener('change', () => {
       chrome.storage.local.set({rifcare_mock_mode: mockToggle.checked});
@@ -0,0 +1,515 @@
+// providers.js — AI providers: Chrome's built-in Prompt API (LanguageModel) and Summarizer API,
+// the legacy chrome.ai / window.ai shapes, and a local OpenAI-compatible HTTP endpoint (e.g. Ollama)
+// Loaded by background.js (importScripts), which runs every model request through generateText(),
+// by the content scripts, which run the built-in APIs for the background when they only exist in
+// window contexts (runBuiltinModel, builtinAvailability), and by popup.js, which downloads models
+// (downloadProviderModel). Requires i18n.js, output_format.js, summary_styles.js and settings.js
+// (ids and labels are in AI_BACKENDS); the Summarizer adapter also uses summarizer.js.
+//
+// A request is {prompt, temperature, maxOutputTokens, summary, schema}. `summary` ({text,
+// highlights, options}) is set when the prompt asks for a page summary, so a provider with a
+// dedicated summarizer can work from the text instead; providers without a prompt interface skip
+// requests that lack it. `schema` is the JSON schema the prompt asks the output to follow (see
+// output_format.js); providers that can constrain the model's output to it do. Providers resolve to the generated text or throw. Cancelling (an AbortSignal)
+// stops the model where the API takes a signal; generateText stops waiting for the others.
+
+// Give up on the local endpoint after this long without any data
+const ENDPOINT_IDLE_TIMEOUT_MS = 120000;
+
+// Summarizer API type for each summary style
+const SUMMARIZER_TYPES = {tldr: 'tldr', takeaways: 'key-points', outline: 'key-points', brief: 'key-points', actions: 'key-points'};
+
+// Collect a model's text stream, passing new text to onDelta. Some builds yield the cumulative
+// text so far, others only the new part.
+async function readModelStream(stream, onDelta) {
+  let full = '';
+  for await (const chunk of stream) {
+    const piece = typeof chunk === 'string' ? chunk : ((chunk && chunk.text) || '');
+    const delta = piece.startsWith(full) ? piece.slice(full.length) : piece;
+    full = piece.startsWith(full) ? piece : full + piece;
+    if (delta && onDelta) onDelta(delta);
+  }
+  return full;
+}
+
+// --- Built-in APIs (Chrome 138+): LanguageModel and Summarizer globals
+
+// kind 'prompt' is the Prompt API (LanguageModel), 'summarize' the Summarizer API
+function builtinApi(kind) {
+  if (kind === 'summarize') return typeof Summarizer !== 'undefined' && Summarizer.create ? Summarizer : null;
+  return typeof LanguageModel !== 'undefined' && LanguageModel.create ? LanguageModel : null;
+}
+
+// Availability is 'available', 'downloadable', 'downloading' or 'unavailable'; older builds
+// answered 'readily', 'after-download' and 'no'
+const LEGACY_AVAILABILITY = {readily: 'available', 'after-download': 'downloadable', no: 'unavailable'};
+
+function normalizeAvailability(value) {
+  if (LEGACY_AVAILABILITY[value]) return LEGACY_AVAILABILITY[value];
+  return ['available', 'downloadable', 'downloading'].includes(value) ? value : 'unavailable';
+}
+
+// Availability of a built-in API in this context
+async function builtinAvailability(kind) {
+  const api = builtinApi(kind);
+  if (!api) return 'unavailable';
+  if (!api.availability) return 'available';
+  try { return normalizeAvailability(await api.availability()); } catch (e) { return 'unavailable'; }
+}
+
+// --- Warm sessions
+// Model sessions are kept per scope (a tab in the background, 'page' in a content script),
+// purpose (summarize, ask, selection) and configuration, and destroyed after SESSION_IDLE_MS
+// without use or when their tab closes (releaseTabProviders).
+
+const SESSION_IDLE_MS = 2 * 60 * 1000;
+const warmSessions = new Map();
+
+// The session for `key`, created with create() the first time; concurrent callers share one creation
+function warmSession(key, create) {
+  let entry = warmSessions.get(key);
+  if (!entry) {
+    entry = {session: create(), timer: null};
+    warmSessions.set(key, entry);
+    // a failed creation isn't kept
+    entry.session.catch(() => { if (warmSessions.get(key) === entry) releaseSession(key); });
+  }
+  clearTimeout(entry.timer);
+  entry.timer = setTimeout(() => releaseSession(key), SESSION_IDLE_MS);
+  return entry.session;
+}
+
+function releaseSession(key) {
+  const entry = warmSessions.get(key);
+  if (!entry) return;
+  warmSessions.delete(key);
+  clearTimeout(entry.timer);
+  entry.session.then(s => { if (s && s.destroy) s.destroy(); }, () => {});
+}
+
+function sessionKey(scope, request, name, config) {
+  return [scope, request.purpose || 'default', name, JSON.stringify(config || {})].join('|');
+}
+
+// A Prompt API session keeps its conversation, so each request runs in a clone of the warm
+// session: cloning skips the model load and starts from the warm session's empty context.
+async function promptLanguageModel(request, onDelta, scope = 'page', signal = null) {
+  const api = builtinApi('prompt');
+  if (!api) throw new Error('LanguageModel (Prompt API) not available');
+  const options = {};
+  // temperature can only be set together with topK
+  if (request.temperature !== undefined && api.params) {
+    const params = await api.params();
+    if (params) Object.assign(options, {temperature: request.temperature, topK: params.defaultTopK});
+  }
+  const base = await warmSession(sessionKey(scope, request, 'prompt', options), () => api.create(options));
+  const session = base.clone ? await base.clone() : await api.create(options);
+  const callOptions = {};
+  if (signal) callOptions.signal = signal;
+  if (request.schema) callOptions.responseConstraint = request.schema;
+  try {
+    if (onDelta && session.promptStreaming) return await readModelStream(session.promptStreaming(request.prompt, callOptions), onDelta);
+    return String(await session.prompt(request.prompt, callOptions));
+  } finally {
+    if (session.destroy) session.destroy();
+  }
+}
+
+// Summary bullets from the Summarizer API; the style's instruction goes in as shared context.
+// Summarizers keep no state between calls, so the warm one is used directly.
+async function summarizeWithSummarizer(request, onDelta, scope = 'page', signal = null) {
+  if (!request.summary) throw new Error('Summarizer API only summarizes');
+  const api = builtinApi('summarize');
+  if (!api) throw new Error('Summarizer API not available');
+  const {text, options} = request.summary;
+  const config = {
+    type: SUMMARIZER_TYPES[options.style] || 'key-points',
+    format: 'markdown',
+    length: options.length,
+    sharedContext: `Write ${SUMMARY_STYLES[options.style].instruction(options.baseBullets)}.`
+  };
+  if (options.languageCode) config.outputLanguage = options.languageCode;
+  const summarizer = await warmSession(sessionKey(scope, request, 'summarize', config), () => api.create(config));
+  const callOptions = signal ? {signal} : undefined;
+  if (onDelta && summarizer.summarizeStreaming) return readModelStream(summarizer.summarizeStreaming(text, callOptions), onDelta);
+  return String(await summarizer.summarize(text, callOptions));
+}
+
+// Run a built-in API in this context: kind is 'prompt' (LanguageModel) or 'summarize' (Summarizer)
+function runBuiltinModel(kind, request, onDelta = null, scope = 'page', signal = null) {
+  return kind === 'summarize' ? summarizeWithSummarizer(request, onDelta, scope, signal) : promptLanguageModel(request, onDelta, scope, signal);
+}
+
+// The built-in APIs may only exist in the page: run them there through the content script.
+// The page can't stream back, so onDelta gets the whole text at once.
+function runBuiltinModelInPage(tabId, kind, request, onDelta) {
+  return new Promise((resolve, reject) => {
+    chrome.tabs.sendMessage(tabId, {action: 'builtin_ai', kind, request}, (r) => {
+      if (chrome.runtime.lastError || !r) return reject(new Error(chrome.runtime.lastError ? chrome.runtime.lastError.message : 'No response from the page'));
+      if (r.status !== 'ok') return reject(new Error(r.message || 'Built-in AI failed in the page'));
+      if (onDelta && r.text) onDelta(r.text);
+      resolve(r.text);
+    });
+  });
+}
+
+function builtinAvailabilityInPage(tabId, kind) {
+  return new Promise((resolve) => {
+    chrome.tabs.sendMessage(tabId, {action: 'builtin_availability', kind}, (r) => {
+      if (chrome.runtime.lastError || !r || r.status !== 'ok') return resolve('unavailable');
+      resolve(normalizeAvailability(r.availability));
+    });
+  });
+}
+
+// Built-in APIs run in the background when it's exposed there, otherwise in the page
+function runBuiltinProvider(tabId, kind, request, onDelta, signal) {
+  return builtinApi(kind) ? runBuiltinModel(kind, request, onDelta, `tab${tabId}`, signal) : runBuiltinModelInPage(tabId, kind, request, onDelta);
+}
+
+function builtinProviderAvailability(tabId, kind) {
+  return builtinApi(kind) ? builtinAvailability(kind) : builtinAvailabilityInPage(tabId, kind);
+}
+
+// The Summarizer writes bullets only: the highlights are the candidates given with the request
+// (partial summaries) or picked from the text. The output is in the delimited format, which the
+// summary parser accepts along with JSON (the bullets stream in as they are written).
+async function summarizerProvider(tabId, request, onDelta, signal) {
+  if (!request.summary) throw new Error('Summarizer API only summarizes');
+  // markdown lists use "* "; the rest of the extension expects "- "
+  const bulletsText = (await runBuiltinProvider(tabId, 'summarize', request, onDelta, signal)).replace(/^\s*[*•]\s+/gm, '- ');
+  const {text, highlights, options} = request.summary;
+  const picked = highlights ? highlights.slice(0, options.highlights) : summarizeExtractive(text, 0, options.highlights).highlights;
+  const tail = `\n\n${HIGHLIGHTS_DELIMITER}\n` + picked.join('\n');
+  if (onDelta) onDelta(tail);
+  return bulletsText + tail;
+}
+
+// --- Legacy shapes: chrome.ai.languageModel in the background, window.ai in the page
+
+// Generation options of a request for the legacy APIs
+function modelOptions(request) {
+  const out = {};
+  if (request.temperature !== undefined) out.temperature = request.temperature;
+  if (request.maxOutputTokens) out.maxOutputTokens = request.maxOutputTokens;
+  return out;
+}
+
+async function chromeAIAvailability() {
+  const lm = chrome && chrome.ai && chrome.ai.languageModel;
+  if (!lm || !lm.create) return 'unavailable';
+  if (!lm.capabilities) return 'available';
+  try {
+    const caps = await lm.capabilities();
+    return normalizeAvailability(caps && caps.available);
+  } catch (e) {
+    return 'unavailable';
+  }
+}
+
+async function callChromeAI(request, onDelta = null, scope = 'background'){
+  if (chrome && chrome.ai && chrome.ai.languageModel && chrome.ai.languageModel.create) {
+    const options = modelOptions(request);
+    const model = await warmSession(sessionKey(scope, request, 'chrome.ai', options), () => chrome.ai.languageModel.create({model: 'gemini-nano', ...options}));
+    const messages = [{role:'user', content: request.prompt}];
+    if (onDelta && typeof model.generateStreaming === 'function') {
+      return readModelStream(model.generateStreaming({messages, maxOutputTokens: options.maxOutputTokens || 400}), onDelta);
+    }
+    const response = await model.generate({messages, maxOutputTokens: options.maxOutputTokens || 400});
+    if (response.candidates && response.candidates[0]) {
+      const cand = response.candidates[0];
+      if (cand.content && Array.isArray(cand.content)) return cand.content.map(c=>c.text||'').join('');
+      return String(cand);
+    }
+    if (response.output && response.output[0] && response.output[0].content) return response.output[0].content.map(c=>c.text||'').join('');
+    return JSON.stringify(response);
+  }
+  throw new Error('chrome.ai not available in background');
+}
+
+// Inject into page context (MAIN world) to call window.ai
+async function callWindowAIInPage(tabId, prompt, options = {}){
+  const results = await chrome.scripting.executeScript({
+    target: {tabId},
+    world: 'MAIN',
+    func: async (p, opts) => {
+      if (!window.ai || !window.ai.createLanguageModel) return {error: 'window.ai not available'};
+      try {
+        const model = await window.ai.createLanguageModel({model: opts.model || 'gemini-nano'});
+        const res = await model.generate({messages:[{role:'user', content: p}], maxOutputTokens: opts.maxOutputTokens || 400});
+        if (res.output && res.output[0] && res.output[0].content) return {text: res.output[0].content.map(c=>c.text||'').join('')};
+        if (res.candidates && res.candidates[0] && res.candidates[0].content) return {text: res.candidates[0].content.map(c=>c.text||'').join('')};
+        return {text: JSON.stringify(res)};
+      } catch (err) {
+        return {error: err && err.message ? err.message : String(err)};
+      }
+    },
+    args: [prompt, options]
+  });
+  if (!results || !results[0]) throw new Error('No result from injected script');
+  const v = results[0].result;
+  if (v && v.error) throw new Error(v.error);
+  return String(v && v.text ? v.text : '');
+}
+
+// --- OpenAI-compatible endpoint (POST <endpointUrl>/chat/completions)
+
+// Read a server-sent event stream of chat completion chunks
+async function readCompletionStream(body, onDelta, resetIdle) {
+  const reader = body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+  let full = '';
+  for (;;) {
+    const {done, value} = await reader.read();
+    if (done) break;
+    resetIdle();
+    buffer += decoder.decode(value, {stream: true});
+    const lines = buffer.split('\n');
+    buffer = lines.pop();
+    for (const line of lines) {
+      const data = line.replace(/^data:\s*/, '').trim();
+      if (!line.startsWith('data:') || !data || data === '[DONE]') continue;
+      let chunk;
+      try { chunk = JSON.parse(data); } catch (e) { continue; }
+      const delta = chunk.choices && chunk.choices[0] && chunk.choices[0].delta ? chunk.choices[0].delta.content || '' : '';
+      if (delta) {
+        full += delta;
+        onDelta(delta);
+      }
+    }
+  }
+  return full;
+}
+
+async function callOpenAICompatible(request, settings, onDelta = null, signal = null) {
+  if (!settings.endpointUrl || !settings.endpointModel) throw new Error(i18n('errEndpointNotConfigured'));
+  const headers = {'Content-Type': 'application/json'};
+  if (settings.endpointApiKey) headers.Authorization = `Bearer ${settings.endpointApiKey}`;
+  const body = {model: settings.endpointModel, messages: [{role: 'user', content: request.prompt}], stream: !!onDelta};
+  if (request.temperature !== undefined) body.temperature = request.temperature;
+  if (request.maxOutputTokens) body.max_tokens = request.maxOutputTokens;
+  if (request.schema) body.response_format = {type: 'json_schema', json_schema: {name: 'response', schema: request.schema}};
+  const controller = new AbortController();
+  let timer = null;
+  const resetIdle = () => {
+    clearTimeout(timer);
+    timer = setTimeout(() => controller.abort(), ENDPOINT_IDLE_TIMEOUT_MS);
+  };
+  resetIdle();
+  // cancelling the request aborts the fetch too
+  const cancel = () => controller.abort();
+  if (signal) signal.addEventListener('abort', cancel, {once: true});
+  try {
+    const post = () => fetch(settings.endpointUrl.replace(/\/+$/, '') + '/chat/completions', {method: 'POST', headers, body: JSON.stringify(body), signal: controller.signal});
+    let res = await post();
+    // servers without structured output reject response_format; the prompt asks for JSON anyway
+    if (res.status === 400 && body.response_format) {
+      delete body.response_format;
+      res = await post();
+    }
+    if (!res.ok) {
+      const detail = (await res.text().catch(() => '')).slice(0, 200);
+      throw new Error(i18n('errEndpointStatus', [res.status, detail || res.statusText]));
+    }
+    if (onDelta && res.body) return await readCompletionStream(res.body, onDelta, resetIdle);
+    const json = await res.json();
+    const message = json.choices && json.choices[0] && json.choices[0].message;
+    if (!message || typeof message.content !== 'string') throw new Error(i18n('errEndpointResponse'));
+    return message.content;
+  } catch (e) {
+    if (signal && signal.aborted) throw cancelledError();
+    if (e && e.name === 'AbortError') throw new Error(i18n('errEndpointTimeout'));
+    throw e;
+  } finally {
+    clearTimeout(timer);
+    if (signal) signal.removeEventListener('abort', cancel);
+  }
+}
+
+// --- Registry
+
+// run(tabId, request, settings, onDelta, signal) resolves to the text. Providers that can't stream
+// pass the whole text to onDelta once, at the end. availability(tabId, settings) resolves to one of
+// the availability values above; providers without it are only known to work by trying.
+// download(onProgress) replaces the built-in model download (downloadProviderModel).
+// The mock provider adds itself here (mock_provider.js).
+const AI_PROVIDERS = {
+  'prompt-api': {
+    availability: (tabId) => builtinProviderAvailability(tabId, 'prompt'),
+    run: (tabId, request, settings, onDelta, signal) => runBuiltinProvider(tabId, 'prompt', request, onDelta, signal)
+  },
+  'summarizer-api': {
+    availability: (tabId) => builtinProviderAvailability(tabId, 'summarize'),
+    run: (tabId, request, settings, onDelta, signal) => summarizerProvider(tabId, request, onDelta, signal)
+  },
+  'chrome.ai': {
+    availability: () => chromeAIAvailability(),
+    run: (tabId, request, settings, onDelta) => callChromeAI(request, onDelta, `tab${tabId}`)
+  },
+  'window.ai': {
+    run: async (tabId, request, settings, onDelta) => {
+      const text = await callWindowAIInPage(tabId, request.prompt, modelOptions(request));
+      if (onDelta && text) onDelta(text);
+      return text;
+    }
+  },
+  'openai-compatible': {run: (tabId, request, settings, onDelta, signal) => callOpenAICompatible(request, settings, onDelta, signal)}
+};
+
+// Availability answers are reused for a few seconds, so a chunked summary checks once, not per chunk
+const AVAILABILITY_TTL_MS = 15000;
+const availabilityCache = new Map();
+
+async function providerAvailability(tabId, id, settings) {
+  const provider = AI_PROVIDERS[id];
+  if (!provider) return 'unavailable';
+  if (!provider.availability) return 'available';
+  const key = `${tabId}|${id}`;
+  const cached = availabilityCache.get(key);
+  if (cached && Date.now() - cached.at < AVAILABILITY_TTL_MS) return cached.value;
+  const value = await provider.availability(tabId, settings);
+  availabilityCache.set(key, {value, at: Date.now()});
+  return value;
+}
+
+function forgetAvailability() {
+  availabilityCache.clear();
+}
+
+// Drop a closed tab's warm sessions and availability answers
+function releaseTabProviders(tabId) {
+  for (const key of Array.from(warmSessions.keys())) if (key.startsWith(`tab${tabId}|`)) releaseSession(key);
+  for (const key of Array.from(availabilityCache.keys())) if (key.startsWith(`${tabId}|`)) availabilityCache.delete(key);
+}
+
+// The providers to try, in order. In mock mode (the popup's Mock toggle) the mock provider
+// stands in for all of them.
+async function providerOrder(settings) {
+  const res = await chrome.storage.local.get(['rifcare_mock_mode']);
+  return res.rifcare_mock_mode && AI_PROVIDERS.mock ? ['mock'] : settings.backendOrder;
+}
+
+// The first enabled provider that isn't unavailable, as {provider, availability}, or null. When it
+// is 'downloadable' or 'downloading' the popup offers to download the model.
+async function preferredProviderStatus(tabId, settings) {
+  for (const id of await providerOrder(settings)) {
+    const availability = await providerAvailability(tabId, id, settings);
+    if (availability !== 'unavailable') return {provider: id, availability};
+  }
+  return null;
+}
+
+// Download a built-in model from a page the user just clicked in (create() needs the gesture
+// while the model is only downloadable). Joins a download already running; onProgress gets the
+// fraction done.
+async function downloadProviderModel(id, onProgress) {
+  if (AI_PROVIDERS[id] && AI_PROVIDERS[id].download) return AI_PROVIDERS[id].download(onProgress);
+  const api = id === 'chrome.ai' ? chrome.ai && chrome.ai.languageModel : builtinApi(id === 'summarizer-api' ? 'summarize' : 'prompt');
+  if (!api || !api.create) throw new Error(i18n('errModelDownloadUnsupported'));
+  const model = await api.create({
+    monitor(m) {
+      m.addEventListener('downloadprogress', (e) => onProgress(e.total ? e.loaded / e.total : e.loaded));
+    }
+  });
+  if (model && model.destroy) model.destroy();
+}
+
+// --- Cancellation and queueing
+
+function cancelledError() {
+  const error = new Error(i18n('errCancelled'));
+  error.cancelled = true;
+  return error;
+}
+
+function throwIfCancelled(signal) {
+  if (signal && signal.aborted) throw cancelledError();
+}
+
+// Settle like promise, or reject as soon as signal aborts: for the APIs that can't be stopped,
+// the caller stops waiting (and the late result is dropped)
+function abortable(promise, signal) {
+  if (!signal) return promise;
+  return new Promise((resolve, reject) => {
+    if (signal.aborted) return reject(cancelledError());
+    const onAbort = () => reject(cancelledError());
+    signal.addEventListener('abort', onAbort, {once: true});
+    promise.then(resolve, reject).finally(() => signal.removeEventListener('abort', onAbort));
+  });
+}
+
+// Model calls run one at a time, in the order they were made: the on-device model serves one
+// request at a time anyway, and a cancelled request leaves the queue without running
+let modelQueue = Promise.resolve();
+// A call still unsettled after this long fails with errModelTimeout and frees the queue, so a stuck
+// session or page can't hold up every later call (its late result is dropped)
+const MODEL_CALL_TIMEOUT_MS = 180000;
+
+// run(call) gets the call's state: call.settled is set once it has resolved, failed, timed out or
+// been cancelled, and output it produces after that must be dropped
+function queueModelCall(run, signal) {
+  const result = modelQueue.then(() => {
+    throwIfCancelled(signal);
+    const call = {settled: false};
+    let timer;
+    const deadline = new Promise((resolve, reject) => {
+      timer = setTimeout(() => reject(new Error(i18n('errModelTimeout'))), MODEL_CALL_TIMEOUT_MS);
+    });
+    return Promise.race([abortable(run(call), signal), deadline]).finally(() => {
+      call.settled = true;
+      clearTimeout(timer);
+    });
+  });
+  modelQueue = result.catch(() => {});
+  return result;
+}
+
+// Run a prompt through the providers in the order given by settings.backendOrder (or the mock
+// provider in mock mode), skipping the ones whose model isn't on this device.
+// options: temperature, maxOutputTokens, purpose ('summarize', 'ask', 'selection'; sessions are
+// reused per purpose), summary (see above), settings (loaded when not given) and signal (an
+// AbortSignal; cancelling rejects with an error whose `cancelled` is set).
+// Resolves to {text, source, model} — source is the provider id and model the endpoint's model
+// name, if any. Rejects with the last error when every provider fails; the error's modelStatus
+// ({provider, availability}) names a model that could be downloaded.
+async function generateText(tabId, prompt, options = {}, onDelta = null) {
+  const {settings: given, signal, ...request} = options;
+  const settings = given || await loadSettings();
+  request.prompt = prompt;
+  let streamed = false;
+  const forward = onDelta ? (d) => {
+    if (signal && signal.aborted) return;
+    streamed = true;
+    onDelta(d);
+  } : null;
+  let lastError = null;
+  let skipped = new Error(i18n('errNoBackend'));
+  let modelStatus = null;
+  for (const id of await providerOrder(settings)) {
+    const provider = AI_PROVIDERS[id];
+    if (!provider) continue;
+    throwIfCancelled(signal);
+    const availability = await providerAvailability(tabId, id, settings);
+    if (availability !== 'available') {
+      if (availability !== 'unavailable' && !modelStatus) modelStatus = {provider: id, availability};
+      skipped = new Error(i18n(availability === 'unavailable' ? 'errProviderUnavailable' : 'errModelNotDownloaded', providerName(id)));
+      continue;
+    }
+    try {
+      // deltas from a call that timed out would mix into the next provider's output
+      const text = await queueModelCall((call) => provider.run(tabId, request, settings, forward && ((d) => {
+        if (!call.settled) forward(d);
+      }), signal), signal);
+      return {text, source: id, model: id === 'openai-compatible' ? settings.endpointModel : undefined};
+    } catch (e) {
+      if (signal && signal.aborted) throw cancelledError();
+      // A stream that already delivered text can't be retried without duplicating output
+      if (streamed) throw e;
+      lastError = e;
+    }
+  }
+  const error = lastError || skipped;
+  if (modelStatus) error.modelStatus = modelStatus;
+  throw error;
+}
@@ -0,0 +1,166 @@
+// retrieval.js — local passage retrieval (BM25) over page text
+// Shared by background.js (importScripts: Q&A fallback, passage selection for prompts and
+// citations) and library.html (search). Requires language.js (segmentation, stopwords);
+// retrievePassages also needs estimateTokens from chunker.js.
+// Functions that take `lang` expect a base code from detectLanguage(); it selects the stopword
+// list and enables stemming for English.
+
+// Passages are whole sentences from one paragraph, up to about this many words
+const RETRIEVAL_PASSAGE_WORDS = 60;
+// BM25 parameters (the usual defaults)
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+
+// Light English stemmer: strips common inflectional and derivational suffixes so that
+// "libraries"/"library" and "opened"/"opening"/"opens" meet. Not a full Porter stemmer,
+// but it never reduces a word below three characters.
+function stemWord(word) {
+  let w = word;
+  if (w.length <= 3 || /\d/.test(w)) return w;
+  if (w.endsWith('ies') && w.length > 4) w = w.slice(0, -3) + 'y';
+  else if (w.endsWith('sses')) w = w.slice(0, -2);
+  else if (w.endsWith('s') && !w.endsWith('ss') && !w.endsWith('us') && !w.endsWith('is')) w = w.slice(0, -1);
+  for (const [suffix, replacement] of [['ational', 'ate'], ['ization', 'ize'], ['fulness', 'ful'], ['iveness', 'ive'],
+    ['ements', ''], ['ement', ''], ['ments', ''], ['ment', ''], ['ness', ''], ['ation', 'ate'], ['ingly', ''],
+    ['edly', ''], ['ing', ''], ['ed', ''], ['ly', ''], ['er', '']]) {
+    if (w.endsWith(suffix) && w.length - suffix.length + replacement.length >= 3) {
+      w = w.slice(0, -suffix.length) + replacement;
+      // "stopped" -> "stopp" -> "stop"; "hoping" -> "hop" stays
+      if ((suffix === 'ing' || suffix === 'ed') && /([^aeiouls])\1$/.test(w)) w = w.slice(0, -1);
+      break;
+    }
+  }
+  return w;
+}
+
+// Whole-word, lowercased terms without stopwords (stemmed for English). Single letters are
+// dropped except in Chinese and Japanese, where one character is often a whole word.
+function analyzeText(text, lang = 'en') {
+  return segmentWords(text, lang)
+    .map(w => w.replace(/['’].*$/, ''))
+    .filter(w => w && (w.length > 1 || /[\p{N}\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}]/u.test(w)) && !isStopword(w, lang))
+    .map(w => lang === 'en' ? stemWord(w) : w);
+}
+
+// Split extracted page text into passages [{id, text}] (ids start at 1). Heading lines and list
+// markers from extractor.js are dropped so each passage is text that appears on the page as is.
+function splitPassages(text, lang = 'en', maxWords = RETRIEVAL_PASSAGE_WORDS) {
+  const passages = [];
+  for (const block of String(text || '').split(/\n/)) {
+    if (/^#{1,6}\s/.test(block)) continue;
+    const para = block.replace(/^[-*•]\s+/, '').replace(/\s+/g, ' ').trim();
+    if (!para) continue;
+    let buf = [];
+    let words = 0;
+    for (const sentence of splitSentences(para, lang)) {
+      const n = segmentWords(sentence, lang).length;
+      if (buf.length && words + n > maxWords) {
+        passages.push(joinSentences(buf));
+        buf = [];
+        words = 0;
+      }
+      buf.push(sentence);
+      words += n;
+    }
+    if (buf.length) passages.push(joinSentences(buf));
+  }
+  return passages.map((p, i) => ({id: i + 1, text: p}));
+}
+
+// Join sentences back together; sentences in Chinese and Japanese are not separated by spaces
+function joinSentences(sentences) {
+  return sentences.reduce((out, s) => !out ? s : /[。！？]$/.test(out) ? out + s : out + ' ' + s, '');
+}
+
+// Term statistics for a list of passages
+function buildRetrievalIndex(passages, lang = 'en') {
+  const docs = passages.map((p) => {
+    const terms = analyzeText(p.text, lang);
+    const tf = new Map();
+    for (const t of terms) tf.set(t, (tf.get(t) || 0) + 1);
+    return {passage: p, tf, length: terms.length};
+  });
+  const df = new Map();
+  for (const d of docs) for (const t of d.tf.keys()) df.set(t, (df.get(t) || 0) + 1);
+  const avgLength = docs.reduce((n, d) => n + d.length, 0) / (docs.length || 1);
+  return {docs, df, avgLength, lang};
+}
+
+// BM25 inverse document frequency (the non-negative variant)
+function termIdf(index, term) {
+  const n = index.df.get(term) || 0;
+  return Math.log(1 + (index.docs.length - n + 0.5) / (n + 0.5));
+}
+
+// Passages ranked by BM25 score for `query`: [{passage, score}], best first, score > 0 only
+function searchPassages(index, query, limit = Infinity) {
+  const terms = Array.from(new Set(analyzeText(query, index.lang)));
+  const results = [];
+  for (const d of index.docs) {
+    let score = 0;
+    for (const t of terms) {
+      const f = d.tf.get(t);
+      if (!f) continue;
+      score += termIdf(index, t) * (f * (BM25_K1 + 1)) / (f + BM25_K1 * (1 - BM25_B + BM25_B * d.length / (index.avgLength || 1)));
+    }
+    if (score > 0) results.push({passage: d.passage, score});
+  }
+  results.sort((a, b) => b.score - a.score || a.passage.id - b.passage.id);
+  return results.slice(0, limit);
+}
+
+// The passages most relevant to `query` that fit in maxTokens, in page order. Leftover budget
+// goes to the opening passages, which usually say what the page is about.
+function retrievePassages(passages, query, maxTokens, lang = 'en') {
+  const index = buildRetrievalIndex(passages, lang);
+  const ranked = searchPassages(index, query).map(r => r.passage).concat(passages);
+  const picked = new Set();
+  let used = 0;
+  for (const p of ranked) {
+    if (picked.has(p)) continue;
+    const cost = estimateTokens(p.text) + 3;
+    if (used + cost > maxTokens) continue;
+    picked.add(p);
+    used += cost;
+  }
+  return Array.from(picked).sort((a, b) => a.id - b.id);
+}
+
+// Words an extractive answer window may grow to
+const ANSWER_WINDOW_WORDS = 80;
+
+// Extractive answer from the top-ranked passages: the sentence that covers the most (IDF-weighted)
+// question terms, followed by the sentences after it in its passage, up to maxSentences and
+// ANSWER_WINDOW_WORDS. A preceding sentence is included instead when the best one comes last.
+// Returns {text, passage, confidence} where confidence (0–1) is the weighted share of the
+// question's terms the answer covers, or null when no passage matches.
+function answerFromPassages(passages, question, lang = 'en', maxSentences = 3) {
+  const index = buildRetrievalIndex(passages, lang);
+  const top = searchPassages(index, question, 3);
+  if (!top.length) return null;
+  const qTerms = Array.from(new Set(analyzeText(question, lang)));
+  const weight = (text) => {
+    const set = new Set(analyzeText(text, lang));
+    return qTerms.reduce((n, t) => n + (set.has(t) ? termIdf(index, t) : 0), 0);
+  };
+  let best = null;
+  for (const {passage, score} of top) {
+    const sents = splitSentences(passage.text, lang);
+    sents.forEach((sentence, i) => {
+      // the passage score breaks ties between equally good sentences
+      const w = weight(sentence) + score / 1000;
+      if (!best || w > best.weight) best = {weight: w, sents, i, passage};
+    });
+  }
+  let start = best.i;
+  let end = best.i + 1;
+  const words = (from, to) => segmentWords(best.sents.slice(from, to).join(' '), lang).length;
+  while (end - start < maxSentences) {
+    if (end < best.sents.length && words(start, end + 1) <= ANSWER_WINDOW_WORDS) end++;
+    else if (start > 0 && words(start - 1, end) <= ANSWER_WINDOW_WORDS) start--;
+    else break;
+  }
+  const text = joinSentences(best.sents.slice(start, end));
+  const total = qTerms.reduce((n, t) => n + (index.df.has(t) ? termIdf(index, t) : Math.log(1 + index.docs.length + 0.5)), 0);
+  return {text, passage: best.passage, confidence: total ? weight(text) / total : 0};
+}
@@ -0,0 +1,237 @@
+// settings.js — typed extension settings stored under chrome.storage.local.rifcare_settings
+// Shared by background.js (importScripts), the content scripts (manifest), popup.js and options.js.
+// Requires i18n.js and summary_styles.js to be loaded first (labels, style/length ids and defaults).
+
+const SETTINGS_KEY = 'rifcare_settings';
+
+// AI providers the background can try, in the user's preferred order (adapters are in
+// providers.js). label is for the options page, name for status lines.
+const AI_BACKENDS = {
+  'prompt-api': {label: i18n('backendPromptApi'), name: i18n('backendPromptApiName')},
+  'summarizer-api': {label: i18n('backendSummarizerApi'), name: i18n('backendSummarizerApiName')},
+  'chrome.ai': {label: i18n('backendChromeAi'), name: 'chrome.ai'},
+  'window.ai': {label: i18n('backendWindowAi'), name: 'window.ai'},
+  'openai-compatible': {label: i18n('backendEndpoint'), name: i18n('backendEndpointName')}
+};
+
+// The order older versions saved by default; it is upgraded to the current default on load
+const LEGACY_BACKEND_ORDER = ['chrome.ai', 'window.ai'];
+
+const OUTPUT_LANGUAGES = ['page', 'ui', 'en', 'es', 'de', 'fr', 'it', 'pt', 'hi', 'ja', 'zh'];
+
+// How the mock provider behaves while mock mode is on (see mock_provider.js)
+const MOCK_SCENARIOS = ['normal', 'unavailable', 'downloadable', 'timeout', 'malformed', 'error'];
+
+// Field types: bool, int (min/max), enum (values), color, list (ordered subset of values), domains,
+// patterns (see autoSummarizeRule), url (http/https) and text (maxLength).
+const SETTINGS_SCHEMA = {
+  summaryStyle: {type: 'enum', values: Object.keys(SUMMARY_STYLES), default: DEFAULT_SUMMARY_STYLE},
+  summaryLength: {type: 'enum', values: Object.keys(SUMMARY_LENGTHS), default: DEFAULT_SUMMARY_LENGTH},
+  bulletCount: {type: 'int', min: 1, max: 12, default: 4},
+  highlightCount: {type: 'int', min: 0, max: 10, default: 4},
+  backendOrder: {type: 'list', values: Object.keys(AI_BACKENDS), default: ['prompt-api', 'summarizer-api', 'chrome.ai', 'window.ai']},
+  extractiveFallback: {type: 'bool', default: true},
+  // local OpenAI-compatible server, e.g. Ollama (http://localhost:11434/v1)
+  endpointUrl: {type: 'url', default: 'http://localhost:11434/v1'},
+  endpointModel: {type: 'text', maxLength: 200, default: 'llama3.2'},
+  endpointApiKey: {type: 'text', maxLength: 500, default: ''},
+  // mock provider: the failure to inject and the delay before its output starts
+  mockScenario: {type: 'enum', values: MOCK_SCENARIOS, default: 'normal'},
+  mockLatencyMs: {type: 'int', min: 0, max: 30000, default: 800},
+  highlightColor: {type: 'color', default: '#ffff00'},
+  outputLanguage: {type: 'enum', values: OUTPUT_LANGUAGES, default: 'page'},
+  excludedDomains: {type: 'domains', default: []},
+  // pages summarized in the background as soon as they load, and pages never summarized that way
+  autoSummarizeOn: {type: 'patterns', default: []},
+  autoSummarizeNever: {type: 'patterns', default: []},
+  // the toolbar badge shows whether the tab's page has a summary (running, ready, cached, failed)
+  summaryBadge: {type: 'bool', default: true},
+  rawExtraction: {type: 'bool', default: false},
+  maxHistoryPerPage: {type: 'int', min: 1, max: 500, default: 50},
+  maxStoredPages: {type: 'int', min: 10, max: 5000, default: 500},
+  // chrome.storage.local holds 10 MB without the unlimitedStorage permission
+  storageQuotaMB: {type: 'int', min: 1, max: 10, default: 8},
+  retentionDays: {type: 'int', min: 0, max: 3650, default: 0}
+};
+
+function defaultSettings() {
+  const out = {};
+  for (const [name, field] of Object.entries(SETTINGS_SCHEMA)) {
+    out[name] = Array.isArray(field.default) ? field.default.slice() : field.default;
+  }
+  return out;
+}
+
+// Validate one value; returns {value} or {error}
+function validateSetting(field, value) {
+  switch (field.type) {
+    case 'bool':
+      return typeof value === 'boolean' ? {value} : {error: i18n('errBool')};
+    case 'int': {
+      const n = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+      if (!Number.isInteger(n)) return {error: i18n('errWholeNumber')};
+      if (n < field.min || n > field.max) return {error: i18n('errRange', [field.min, field.max])};
+      return {value: n};
+    }
+    case 'enum':
+      return field.values.includes(value) ? {value} : {error: i18n('errOneOf', field.values.join(', '))};
+    case 'color':
+      return typeof value === 'string' && /^#[0-9a-f]{6}$/i.test(value) ? {value: value.toLowerCase()} : {error: i18n('errColor')};
+    case 'list': {
+      if (!Array.isArray(value)) return {error: i18n('errList')};
+      const unknown = value.filter(v => !field.values.includes(v));
+      if (unknown.length) return {error: i18n('errUnknownEntries', unknown.join(', '))};
+      return {value: value.filter((v, i) => value.indexOf(v) === i)};
+    }
+    case 'url': {
+      const url = String(value || '').trim();
+      if (!url) return {value: ''};
+      try {
+        if (/^https?:$/.test(new URL(url).protocol)) return {value: url};
+      } catch (e) { /* reported below */ }
+      return {error: i18n('errUrl')};
+    }
+    case 'text': {
+      if (typeof value !== 'string') return {error: i18n('errText')};
+      const text = value.trim();
+      return text.length <= field.maxLength ? {value: text} : {error: i18n('errTooLong', field.maxLength)};
+    }
+    case 'domains': {
+      const list = Array.isArray(value) ? value : String(value || '').split(/[\s,]+/);
+      const domains = [];
+      for (const raw of list) {
+        const d = String(raw || '').trim().toLowerCase().replace(/^https?:\/\//, '').replace(/\/.*$/, '');
+        if (!d) continue;
+        if (!/^(\*\.)?[a-z0-9-]+(\.[a-z0-9-]+)*$/.test(d)) return {error: i18n('errNotDomain', raw)};
+        if (!domains.includes(d)) domains.push(d);
+      }
+      return {value: domains};
+    }
+    case 'patterns': {
+      const list = Array.isArray(value) ? value : String(value || '').split(/[\s,]+/);
+      const patterns = [];
+      for (const raw of list) {
+        const p = String(raw || '').trim().toLowerCase().replace(/^(?:https?|\*):\/\//, '');
+        if (!p) continue;
+        if (!/^[a-z0-9*-]+(\.[a-z0-9*-]+)*(\/\S*)?$/.test(p)) return {error: i18n('errNotUrlPattern', raw)};
+        if (!patterns.includes(p)) patterns.push(p);
+      }
+      return {value: patterns};
+    }
+    default:
+      return {error: i18n('errUnknownType')};
+  }
+}
+
+// Validate a (partial) settings object. Unknown keys are ignored; invalid values are reported in
+// `errors` and replaced by the value from `base` (defaults when not given).
+function validateSettings(input, base = defaultSettings()) {
+  const settings = Object.assign({}, base);
+  const errors = {};
+  for (const [name, value] of Object.entries(input || {})) {
+    const field = SETTINGS_SCHEMA[name];
+    if (!field) continue;
+    const result = validateSetting(field, value);
+    if ('error' in result) errors[name] = result.error;
+    else settings[name] = result.value;
+  }
+  return {settings, errors};
+}
+
+// Load settings, filling in defaults. Flags the popup used to keep on their own
+// (rifcare_raw_extraction, rifcare_summary_style/length) are folded in the first time.
+async function loadSettings() {
+  const res = await chrome.storage.local.get([SETTINGS_KEY, 'rifcare_raw_extraction', 'rifcare_summary_style', 'rifcare_summary_length']);
+  let stored = res[SETTINGS_KEY];
+  if (!stored) {
+    stored = {};
+    if (typeof res.rifcare_raw_extraction === 'boolean') stored.rawExtraction = res.rifcare_raw_extraction;
+    if (res.rifcare_summary_style) stored.summaryStyle = res.rifcare_summary_style;
+    if (res.rifcare_summary_length) stored.summaryLength = res.rifcare_summary_length;
+  }
+  if (Array.isArray(stored.backendOrder) && stored.backendOrder.join() === LEGACY_BACKEND_ORDER.join()) {
+    stored = Object.assign({}, stored, {backendOrder: SETTINGS_SCHEMA.backendOrder.default.slice()});
+  }
+  return validateSettings(stored).settings;
+}
+
+// Merge a partial update into the stored settings. Invalid fields are not saved.
+// Resolves to {settings, errors}.
+async function saveSettings(partial) {
+  const current = await loadSettings();
+  const result = validateSettings(partial, current);
+  const o = {};
+  o[SETTINGS_KEY] = result.settings;
+  await chrome.storage.local.set(o);
+  await chrome.storage.local.remove(['rifcare_raw_extraction', 'rifcare_summary_style', 'rifcare_summary_length']);
+  return result;
+}
+
+async function resetSettings() {
+  const o = {};
+  o[SETTINGS_KEY] = defaultSettings();
+  await chrome.storage.local.set(o);
+  return o[SETTINGS_KEY];
+}
+
+// Call cb(settings) whenever settings change in any extension context
+function onSettingsChanged(cb) {
+  chrome.storage.onChanged.addListener((changes, area) => {
+    if (area === 'local' && changes[SETTINGS_KEY]) cb(validateSettings(changes[SETTINGS_KEY].newValue || {}).settings);
+  });
+}
+
+// True when url's host is listed in excludedDomains ("example.com" also covers its subdomains,
+// "*.example.com" only the subdomains)
+function isDomainExcluded(settings, url) {
+  let host;
+  try { host = new URL(url).hostname.toLowerCase(); } catch (e) { return false; }
+  return (settings.excludedDomains || []).some((d) => {
+    if (d.startsWith('*.')) return host.endsWith(d.slice(1));
+    return host === d || host.endsWith('.' + d);
+  });
+}
+
+function urlPatternSource(pattern) {
+  return pattern.split('*').map(p => p.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*');
+}
+
+// 'always' or 'never' when url matches one of the autoSummarizeOn / autoSummarizeNever patterns
+// ("never" wins), '' otherwise. "*" is any run of characters. A pattern without a path matches the
+// host ("docs.*", "example.com" also covers its subdomains); one with a path matches the URLs that
+// start with it ("example.com/blog/").
+function autoSummarizeRule(settings, url) {
+  let u;
+  try { u = new URL(url); } catch (e) { return ''; }
+  if (!/^https?:$/.test(u.protocol)) return '';
+  const host = u.hostname.toLowerCase();
+  const matches = (pattern) => (pattern.includes('/')
+    ? new RegExp(`^(?:.*\\.)?${urlPatternSource(pattern)}`, 'i').test(host + u.pathname + u.search)
+    : new RegExp(`^(?:.*\\.)?${urlPatternSource(pattern)}$`, 'i').test(host));
+  if ((settings.autoSummarizeNever || []).some(matches)) return 'never';
+  if ((settings.autoSummarizeOn || []).some(matches)) return 'always';
+  return '';
+}
+
+// Base code of the language summaries/answers should be written in ('ui' resolves to the
+// browser's UI language), or '' to follow the page
+function outputLanguageCode(settings) {
+  const code = settings.outputLanguage;
+  if (!code || code === 'page') return '';
+  if (code === 'ui') return (chrome.i18n && chrome.i18n.getUILanguage ? chrome.i18n.getUILanguage() : 'en').split('-')[0].toLowerCase();
+  return code;
+}
+
+// English name of the output language (for prompts), or '' to follow the page
+function outputLanguageName(settings) {
+  const code = outputLanguageCode(settings);
+  if (!code) return '';
+  try { return new Intl.DisplayNames(['en'], {type: 'language'}).of(code) || code; } catch (e) { return code; }
+}
+
+// Name of what produced a summary or answer, for status lines: the provider's name (with the
+// endpoint's model) or the source as it is ('extractive-fallback', 'mock')
+function providerName(source, model) {
+  const name = AI_BACKENDS[source] ? AI_BACKENDS[source].name : source;
+  return model ? `${name} (${model})` : name;
+}
@@ -0,0 +1,365 @@
+// storage.js — saved summaries and Q&A history in chrome.storage.local, keyed by page
+// Shared by background.js (importScripts), the content scripts (manifest), popup.js, options.js
+// and library.js.
+// Requires settings.js (storage limits).
+//
+// Every page has a key: its normalized URL (see pageKey). Schema version STORAGE_VERSION stores
+//   page:<key>     {title, created, accessed}  bookkeeping for eviction
+//   summary:<key>  {summary, highlights, raw, anchors, style, length, source, translated, updated}
+//                  (see summaryRecord)
+//   qa:<key>       [{question, answer, claims, citations, at, source, thread, confidence?}]
+//   thread:<key>   id of the conversation the popup continues
+// Pages are evicted and deleted as a whole. Settings and popup UI state live under their own keys
+// and are never touched here.
+
+const STORAGE_VERSION = 2;
+const STORAGE_VERSION_KEY = 'rifcare_storage_version';
+const PAGE_RECORD_PREFIXES = ['page:', 'summary:', 'qa:', 'thread:'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Query parameters that only track where a visit came from
+const TRACKING_PARAMS = /^(utm_\w+|fbclid|gclid|dclid|gbraid|wbraid|msclkid|yclid|twclid|igshid|mc_cid|mc_eid|_ga|_gl|_hsenc|_hsmi|mkt_tok|vero_id|oly_anon_id|oly_enc_id|ref_src|ref_url|spm)$/i;
+
+// URL without its fragment and tracking parameters; the remaining parameters are sorted and a
+// trailing slash is dropped, so equivalent links give the same string
+function normalizeUrl(url) {
+  let u;
+  try { u = new URL(url); } catch (e) { return String(url || ''); }
+  u.hash = '';
+  if (u.protocol !== 'http:' && u.protocol !== 'https:') return u.href;
+  const params = new URLSearchParams(Array.from(u.searchParams).filter(([name]) => !TRACKING_PARAMS.test(name)));
+  params.sort();
+  u.search = params.toString();
+  if (u.pathname.length > 1) u.pathname = u.pathname.replace(/\/+$/, '');
+  return u.href;
+}
+
+// Host of a URL without "www.", '' when it has none
+function siteOf(url) {
+  try { return new URL(url).hostname.replace(/^www\./, ''); } catch (e) { return ''; }
+}
+
+// Storage key of a page: its canonical URL (<link rel="canonical">) when that is on the same site
+// and not just the home page (some sites point every page there), otherwise its own URL
+function pageKey(url, canonical = '') {
+  if (canonical) {
+    try {
+      const c = new URL(canonical, url);
+      const u = new URL(url);
+      if (/^https?:$/.test(c.protocol) && siteOf(c.href) === siteOf(u.href) && (c.pathname !== '/' || u.pathname === '/')) return normalizeUrl(c.href);
+    } catch (e) { /* invalid canonical: use the URL */ }
+  }
+  return normalizeUrl(url);
+}
+
+// Key of a tab's page. The content script knows the canonical URL; without it (restricted pages,
+// script not injected yet) the tab URL alone is used.
+function pageKeyForTab(tab) {
+  return new Promise((resolve) => {
+    if (!tab || !tab.url) return resolve('unknown');
+    try {
+      chrome.tabs.sendMessage(tab.id, {action: 'page_info'}, (r) => {
+        resolve(pageKey(tab.url, !chrome.runtime.lastError && r ? r.canonical : ''));
+      });
+    } catch (e) {
+      resolve(pageKey(tab.url));
+    }
+  });
+}
+
+// --- Schema migrations: STORAGE_MIGRATIONS[v] turns version v - 1 into v. Each gets every stored
+// item and returns {set, remove}; they may run twice when two contexts start at once, so they
+// must not duplicate data.
+
+// Q&A entries of both lists, without duplicates, oldest first
+function mergeHistory(a, b) {
+  const seen = new Set();
+  return a.concat(b).filter((h) => {
+    const id = (h.at || 0) + '\n' + h.question;
+    if (seen.has(id)) return false;
+    seen.add(id);
+    return true;
+  }).sort((x, y) => (x.at || 0) - (y.at || 0));
+}
+
+const STORAGE_MIGRATIONS = {
+  // 1 -> 2: records keyed by the raw tab URL (<url>, qa_history_<url>, qa_thread_<url>) move to
+  // normalized page keys; URLs that only differed in fragments or tracking parameters are merged
+  2: (all) => {
+    const set = {};
+    const remove = [];
+    const current = (k) => set[k] !== undefined ? set[k] : all[k];
+    const page = (url, at) => {
+      const key = normalizeUrl(url);
+      const meta = Object.assign({title: '', created: at || Date.now(), accessed: 0}, current('page:' + key));
+      meta.accessed = Math.max(meta.accessed, at || Date.now());
+      set['page:' + key] = meta;
+      return key;
+    };
+    for (const [k, v] of Object.entries(all)) {
+      if (k.startsWith('qa_history_')) {
+        const hist = Array.isArray(v) ? v : [];
+        const key = page(k.slice('qa_history_'.length), hist.reduce((m, h) => Math.max(m, h.at || 0), 0));
+        set['qa:' + key] = mergeHistory(current('qa:' + key) || [], hist);
+        remove.push(k);
+      } else if (k.startsWith('qa_thread_')) {
+        const key = page(k.slice('qa_thread_'.length), 0);
+        if (current('thread:' + key) === undefined) set['thread:' + key] = v;
+        remove.push(k);
+      } else if (/^https?:\/\//.test(k) && v && typeof v === 'object' && ('summary' in v || 'highlights' in v)) {
+        const key = page(k, v.updated || 0);
+        const existing = current('summary:' + key);
+        if (!existing || (existing.updated || 0) < (v.updated || 0)) set['summary:' + key] = v;
+        remove.push(k);
+      }
+    }
+    return {set, remove};
+  }
+};
+
+async function migrateStorage() {
+  const res = await chrome.storage.local.get([STORAGE_VERSION_KEY]);
+  for (let v = (res[STORAGE_VERSION_KEY] || 1) + 1; v <= STORAGE_VERSION; v++) {
+    const {set, remove} = STORAGE_MIGRATIONS[v](await chrome.storage.local.get(null));
+    set[STORAGE_VERSION_KEY] = v;
+    await chrome.storage.local.set(set);
+    if (remove.length) await chrome.storage.local.remove(remove);
+  }
+}
+
+// Runs the migrations once per context; every function below waits for it
+let storageReady = null;
+function ensureStorage() {
+  if (!storageReady) storageReady = migrateStorage().catch((err) => { storageReady = null; throw err; });
+  return storageReady;
+}
+
+// --- Pages
+
+// Mark a page as used now (for LRU eviction); info.title updates its title
+async function touchPage(key, info = {}) {
+  await ensureStorage();
+  const res = await chrome.storage.local.get(['page:' + key]);
+  const now = Date.now();
+  const meta = Object.assign({title: '', created: now}, res['page:' + key], {accessed: now});
+  if (info.title) meta.title = info.title;
+  const o = {}; o['page:' + key] = meta;
+  await chrome.storage.local.set(o);
+}
+
+async function loadPageSummary(key) {
+  await ensureStorage();
+  const res = await chrome.storage.local.get(['summary:' + key]);
+  return res['summary:' + key] || null;
+}
+
+// Save a page's summary, then evict whatever no longer fits the storage limits
+async function savePageSummary(key, data, info = {}) {
+  await ensureStorage();
+  const o = {}; o['summary:' + key] = data;
+  await chrome.storage.local.set(o);
+  await touchPage(key, info);
+  await enforceStorageLimits();
+}
+
+// The saved form of a summarize response. `summary` is what was read from its output ({bullets,
+// highlights, title, entities}, see parseSummaryResponse), `request` the job's request.
+function summaryRecord(resp, summary, request = {}) {
+  const data = {summary: summary.bullets.slice(0, 16), highlights: (summary.highlights || []).slice(0, 20), raw: String(resp.text || ''), style: resp.style || request.style, length: resp.length || request.length, source: resp.source, translated: !!resp.translated, updated: Date.now()};
+  if (resp.model) data.model = resp.model;
+  if (summary.title) data.headline = summary.title;
+  if (summary.entities && summary.entities.length) data.entities = summary.entities;
+  return data;
+}
+
+// Merge fields into a saved summary (e.g. anchors); does nothing when there is none
+async function updatePageSummary(key, patch) {
+  const data = await loadPageSummary(key);
+  if (!data) return;
+  const o = {}; o['summary:' + key] = Object.assign({}, data, patch);
+  await chrome.storage.local.set(o);
+}
+
+// `thread` groups Q&A turns into conversations; entries saved before threads existed have none
+// and belong to the 'default' thread
+async function loadQAHistory(key) {
+  await ensureStorage();
+  const res = await chrome.storage.local.get(['qa:' + key]);
+  return res['qa:' + key] || [];
+}
+
+// Add a Q&A entry, keeping only the newest `limit` entries of the page
+async function appendQAHistory(key, entry, limit, info = {}) {
+  const hist = await loadQAHistory(key);
+  hist.push(entry);
+  const o = {}; o['qa:' + key] = hist.slice(-limit);
+  await chrome.storage.local.set(o);
+  await touchPage(key, info);
+  await enforceStorageLimits();
+}
+
+async function loadCurrentThread(key) {
+  await ensureStorage();
+  const res = await chrome.storage.local.get(['thread:' + key]);
+  return res['thread:' + key] || null;
+}
+
+async function saveCurrentThread(key, threadId) {
+  await ensureStorage();
+  const o = {}; o['thread:' + key] = threadId;
+  await chrome.storage.local.set(o);
+}
+
+// --- Deletion
+
+async function deleteSummary(key) {
+  await ensureStorage();
+  await chrome.storage.local.remove(['summary:' + key]);
+}
+
+// Delete one Q&A entry (identified by its timestamp)
+async function deleteQAEntry(key, at) {
+  const hist = await loadQAHistory(key);
+  const rest = hist.filter(h => h.at !== at);
+  if (rest.length === hist.length) return;
+  if (rest.length) {
+    const o = {}; o['qa:' + key] = rest;
+    await chrome.storage.local.set(o);
+  } else {
+    await chrome.storage.local.remove(['qa:' + key, 'thread:' + key]);
+  }
+}
+
+async function deletePage(key) {
+  await ensureStorage();
+  await chrome.storage.local.remove(PAGE_RECORD_PREFIXES.map(p => p + key));
+}
+
+// Stored page records grouped by page: Map key -> {key, title, created, accessed, bytes, items}
+// where items are the storage keys of the page. Pages without a page: record (left over from an
+// interrupted write) count as never accessed.
+function groupPageRecords(all) {
+  const pages = new Map();
+  const encoder = new TextEncoder();
+  for (const [k, v] of Object.entries(all)) {
+    const prefix = PAGE_RECORD_PREFIXES.find(p => k.startsWith(p));
+    if (!prefix) continue;
+    const key = k.slice(prefix.length);
+    if (!pages.has(key)) pages.set(key, {key, title: '', created: 0, accessed: 0, bytes: 0, items: []});
+    const page = pages.get(key);
+    page.items.push(k);
+    // chrome.storage counts the key plus the JSON of the value
+    page.bytes += encoder.encode(k + JSON.stringify(v)).length;
+    if (prefix === 'page:' && v) Object.assign(page, {title: v.title || '', created: v.created || 0, accessed: v.accessed || 0});
+  }
+  return pages;
+}
+
+// Delete every page of a site ("example.com" also covers www.example.com); resolves to the
+// number of pages deleted
+async function deleteSite(site) {
+  await ensureStorage();
+  const pages = Array.from(groupPageRecords(await chrome.storage.local.get(null)).values()).filter(p => siteOf(p.key) === site);
+  if (pages.length) await chrome.storage.local.remove(pages.flatMap(p => p.items));
+  return pages.length;
+}
+
+// Delete all saved pages (settings are kept)
+async function deleteAllPages() {
+  await ensureStorage();
+  const pages = groupPageRecords(await chrome.storage.local.get(null));
+  await chrome.storage.local.remove(Array.from(pages.values()).flatMap(p => p.items));
+}
+
+// Merge imported pages ({key, title, created, accessed, summary, history, thread?}, as validated
+// by parseImport in exporter.js) into storage without overwriting newer data: a saved summary is
+// only replaced by a newer one, Q&A entries are added unless already there, and the current
+// thread and title are kept. Resolves to {added, updated, unchanged} page counts.
+async function importPages(pages) {
+  await ensureStorage();
+  const settings = await loadSettings();
+  const keys = pages.flatMap(p => PAGE_RECORD_PREFIXES.map(prefix => prefix + p.key));
+  const existing = await chrome.storage.local.get(keys);
+  const set = {};
+  const counts = {added: 0, updated: 0, unchanged: 0};
+  for (const p of pages) {
+    const meta = existing['page:' + p.key];
+    const summary = existing['summary:' + p.key];
+    const history = existing['qa:' + p.key] || [];
+    let changed = false;
+    if (p.summary && (!summary || (summary.updated || 0) < (p.summary.updated || 0))) {
+      set['summary:' + p.key] = p.summary;
+      changed = true;
+    }
+    if (p.history.length) {
+      const merged = mergeHistory(history, p.history).slice(-settings.maxHistoryPerPage);
+      if (JSON.stringify(merged) !== JSON.stringify(history)) {
+        set['qa:' + p.key] = merged;
+        changed = true;
+      }
+    }
+    if (p.thread && existing['thread:' + p.key] === undefined) set['thread:' + p.key] = p.thread;
+    if (!meta) {
+      const now = Date.now();
+      set['page:' + p.key] = {title: p.title, created: p.created || now, accessed: p.accessed || now};
+      counts.added++;
+    } else if (changed) {
+      const created = [meta.created, p.created].filter(Boolean);
+      set['page:' + p.key] = Object.assign({}, meta, {title: meta.title || p.title, created: created.length ? Math.min(...created) : Date.now(),
+        accessed: Math.max(meta.accessed || 0, p.accessed || 0)});
+      counts.updated++;
+    } else {
+      counts.unchanged++;
+    }
+  }
+  await chrome.storage.local.set(set);
+  await enforceStorageLimits(settings);
+  return counts;
+}
+
+// --- Listing and limits
+
+// Saved pages, most recently used first:
+// [{key, title, created, accessed, bytes, summary, history, thread}] where summary is the saved
+// summary (or null), history the page's Q&A entries and thread the current conversation (or null)
+async function listPages() {
+  await ensureStorage();
+  const all = await chrome.storage.local.get(null);
+  return Array.from(groupPageRecords(all).values()).map(p => ({
+    key: p.key, title: p.title, created: p.created, accessed: p.accessed, bytes: p.bytes,
+    summary: all['summary:' + p.key] || null,
+    history: all['qa:' + p.key] || [],
+    thread: all['thread:' + p.key] || null
+  })).sort((a, b) => b.accessed - a.accessed);
+}
+
+// {pages, bytes} used by saved pages
+async function storageUsage() {
+  await ensureStorage();
+  const pages = Array.from(groupPageRecords(await chrome.storage.local.get(null)).values());
+  return {pages: pages.length, bytes: pages.reduce((n, p) => n + p.bytes, 0)};
+}
+
+// Evict pages not opened for settings.retentionDays (0: no expiry), then the least recently
+// used ones until at most settings.maxStoredPages remain within settings.storageQuotaMB.
+// The most recently used page is always kept. Resolves to the evicted page keys.
+async function enforceStorageLimits(settings) {
+  await ensureStorage();
+  settings = settings || await loadSettings();
+  const pages = Array.from(groupPageRecords(await chrome.storage.local.get(null)).values()).sort((a, b) => a.accessed - b.accessed);
+  const quota = settings.storageQuotaMB * 1024 * 1024;
+  const now = Date.now();
+  const evicted = [];
+  let count = pages.length;
+  let bytes = pages.reduce((n, p) => n + p.bytes, 0);
+  for (const page of pages) {
+    if (count <= 1) break;
+    const expired = settings.retentionDays > 0 && now - page.accessed > settings.retentionDays * DAY_MS;
+    if (!expired && count <= settings.maxStoredPages && bytes <= quota) break;
+    evicted.push(page);
+    count--;
+    bytes -= page.bytes;
+  }
+  if (evicted.length) await chrome.storage.local.remove(evicted.flatMap(p => p.items));
+  return evicted.map(p => p.key);
+}
@@ -0,0 +1,162 @@
+// summarizer.js — local extractive summarizer, used whenever no model is available
+// Loaded by background.js (importScripts). Requires language.js (sentence segmentation, language
+// detection), retrieval.js (analyzeText) and output_format.js.
+// Sentences are ranked with TextRank over a word-overlap graph, weighted by position, by overlap
+// with their section heading and the page title, and by length; the summary is then picked with
+// MMR (maximal marginal relevance) so near-identical sentences don't both make it in.
+
+// TextRank is quadratic in the number of sentences; longer pages are pre-filtered to this many
+const SUMMARIZER_MAX_SENTENCES = 400;
+const TEXTRANK_DAMPING = 0.85;
+const TEXTRANK_ITERATIONS = 40;
+// MMR trade-off between relevance (1) and novelty (0)
+const MMR_LAMBDA = 0.7;
+// Sentences at least this similar to one already picked are never picked
+const MMR_DUPLICATE_SIMILARITY = 0.6;
+
+// Sentences of extracted page text with their context:
+// [{text, terms, words, index, heading, paragraphStart}]. "# Heading" lines set the heading of
+// the sentences below them and are not sentences themselves; "- " list markers are dropped.
+function summarySentences(text, lang = 'en') {
+  const sentences = [];
+  let heading = '';
+  for (const line of String(text || '').split('\n')) {
+    if (/^#{1,6}\s/.test(line)) {
+      heading = line.replace(/^#{1,6}\s+/, '').trim();
+      continue;
+    }
+    const para = line.replace(/^[-*•]\s+/, '').replace(/\s+/g, ' ').trim();
+    if (!para) continue;
+    splitSentences(para, lang).forEach((sentence, i) => {
+      const words = segmentWords(sentence, lang).length;
+      sentences.push({text: sentence, terms: new Set(analyzeText(sentence, lang)), words, index: sentences.length, heading, paragraphStart: i === 0});
+    });
+  }
+  return sentences;
+}
+
+// Share of a's terms found in b (0 when a is empty)
+function termOverlap(a, b) {
+  if (!a.size) return 0;
+  let n = 0;
+  for (const t of a) if (b.has(t)) n++;
+  return n / a.size;
+}
+
+// Cosine similarity of two term sets
+function termCosine(a, b) {
+  if (!a.size || !b.size) return 0;
+  let n = 0;
+  for (const t of a) if (b.has(t)) n++;
+  return n / Math.sqrt(a.size * b.size);
+}
+
+// TextRank scores (summing to ~1) for the sentences, with the similarity of the original paper:
+// shared terms normalized by the log of both sentence lengths
+function textRank(sentences) {
+  const n = sentences.length;
+  const edges = sentences.map(() => []);
+  for (let i = 0; i < n; i++) {
+    const a = sentences[i].terms;
+    for (let j = i + 1; j < n; j++) {
+      const b = sentences[j].terms;
+      if (a.size < 2 || b.size < 2) continue;
+      let common = 0;
+      for (const t of a) if (b.has(t)) common++;
+      if (!common) continue;
+      const w = common / (Math.log(a.size) + Math.log(b.size));
+      edges[i].push([j, w]);
+      edges[j].push([i, w]);
+    }
+  }
+  const outWeight = edges.map(list => list.reduce((s, [, w]) => s + w, 0));
+  let scores = new Array(n).fill(1 / (n || 1));
+  for (let iter = 0; iter < TEXTRANK_ITERATIONS; iter++) {
+    const next = new Array(n).fill((1 - TEXTRANK_DAMPING) / n);
+    for (let j = 0; j < n; j++) {
+      if (!outWeight[j]) continue;
+      for (const [i, w] of edges[j]) next[i] += TEXTRANK_DAMPING * scores[j] * w / outWeight[j];
+    }
+    const delta = next.reduce((d, s, i) => d + Math.abs(s - scores[i]), 0);
+    scores = next;
+    if (delta < 1e-6) break;
+  }
+  return scores;
+}
+
+// Prefer sentences of 8–35 words: short ones are fragments, long ones run-ons
+function lengthWeight(words) {
+  if (words < 5) return 0.2;
+  if (words < 8) return 0.6;
+  if (words > 35) return Math.max(0.4, 35 / words);
+  return 1;
+}
+
+// Sentences scored for a summary: [{text, index, score, terms, words}], best first.
+// options.title (page title) counts like a heading for every sentence; options.lang is the
+// text's language (detected when not given).
+function rankSentences(text, options = {}) {
+  const lang = options.lang || detectLanguage(text);
+  let sentences = summarySentences(text, lang);
+  if (!sentences.length) return [];
+  const total = sentences.length;
+  if (sentences.length > SUMMARIZER_MAX_SENTENCES) {
+    // keep the sentences that share the most terms with the rest of the page
+    const df = new Map();
+    for (const s of sentences) for (const t of s.terms) df.set(t, (df.get(t) || 0) + 1);
+    const centrality = (s) => s.terms.size ? Array.from(s.terms).reduce((n, t) => n + df.get(t), 0) / Math.sqrt(s.terms.size) : 0;
+    sentences = sentences.map(s => ({s, c: centrality(s)})).sort((a, b) => b.c - a.c)
+      .slice(0, SUMMARIZER_MAX_SENTENCES).map(x => x.s).sort((a, b) => a.index - b.index);
+  }
+  const ranks = textRank(sentences);
+  const maxRank = Math.max(...ranks) || 1;
+  const titleTerms = new Set(analyzeText(options.title || '', lang));
+  const headingTerms = new Map();
+  return sentences.map((s, i) => {
+    if (!headingTerms.has(s.heading)) headingTerms.set(s.heading, new Set(analyzeText(s.heading, lang)));
+    const position = 1 + 0.4 * Math.pow(1 - s.index / total, 2) + (s.paragraphStart ? 0.1 : 0);
+    const topical = 1 + 0.3 * termOverlap(headingTerms.get(s.heading), s.terms) + 0.3 * termOverlap(titleTerms, s.terms);
+    const score = (ranks[i] / maxRank) * position * topical * lengthWeight(s.words);
+    return {text: s.text, index: s.index, score, terms: s.terms, words: s.words};
+  }).sort((a, b) => b.score - a.score);
+}
+
+// Pick up to k sentences from `ranked` with MMR, skipping any in `exclude` (picked entries)
+function selectDiverse(ranked, k, exclude = []) {
+  const picked = [];
+  const chosen = exclude.slice();
+  const pool = ranked.filter(r => !exclude.includes(r));
+  const top = pool.length ? pool[0].score || 1 : 1;
+  while (picked.length < k && pool.length) {
+    let best = -1;
+    let bestScore = -Infinity;
+    for (let i = 0; i < pool.length; i++) {
+      const similarity = chosen.reduce((m, c) => Math.max(m, termCosine(pool[i].terms, c.terms)), 0);
+      if (similarity >= MMR_DUPLICATE_SIMILARITY) continue;
+      const mmr = MMR_LAMBDA * pool[i].score / top - (1 - MMR_LAMBDA) * similarity;
+      if (mmr > bestScore) { bestScore = mmr; best = i; }
+    }
+    if (best === -1) break;
+    const [entry] = pool.splice(best, 1);
+    picked.push(entry);
+    chosen.push(entry);
+  }
+  return picked;
+}
+
+// Extractive summary of page text: {bullets, highlights, raw} with raw in the model's output
+// format (formatSummaryOutput in output_format.js). Highlights are exact page
+// sentences other than the bullets. options.order 'document' keeps bullets in page order
+// (default: best first); options.title is the page title and options.lang its language.
+function summarizeExtractive(text, maxBullets = 4, maxHighlights = 4, options = {}) {
+  const ranked = rankSentences(text, options);
+  let bullets = selectDiverse(ranked, maxBullets);
+  // highlights should be full sentences worth reading in place
+  const candidates = ranked.filter(r => r.words >= 6);
+  let highlights = selectDiverse(candidates, maxHighlights, bullets);
+  if (highlights.length < maxHighlights) highlights = highlights.concat(bullets.slice(0, maxHighlights - highlights.length));
+  if (options.order === 'document') bullets = bullets.slice().sort((a, b) => a.index - b.index);
+  const out = {bullets: bullets.map(b => b.text), highlights: highlights.map(h => h.text)};
+  out.raw = formatSummaryOutput(out.bullets, out.highlights);
+  return out;
+}
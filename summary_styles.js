@@ -0,0 +1,68 @@
+// summary_styles.js — summary styles and lengths
+// Shared by background.js (importScripts: prompt templates, fallback selection) and popup.js
+// (script tag: style/length selectors); labels come from i18n.js, which loads first. Every style produces the same output format —
+// the JSON summary of output_format.js: bullets, exact page sentences as highlights, a title and key entities.
+
+const DEFAULT_SUMMARY_STYLE = 'takeaways';
+const DEFAULT_SUMMARY_LENGTH = 'medium';
+
+// Lengths scale the configured bullet/highlight counts (settings.js bulletCount/highlightCount)
+const SUMMARY_LENGTHS = {
+  short: {label: i18n('lengthShort'), scale: 0.5},
+  medium: {label: i18n('lengthMedium'), scale: 1},
+  long: {label: i18n('lengthLong'), scale: 2}
+};
+
+// instruction(n): what the bullets should contain for n bullets.
+// fallback: which extractive strategy background.js uses when no model is available.
+const SUMMARY_STYLES = {
+  tldr: {
+    label: i18n('styleTldr'),
+    bullets: () => 1,
+    instruction: () => 'a single-sentence TL;DR of the whole page as one bullet point',
+    fallback: 'tldr'
+  },
+  takeaways: {
+    label: i18n('styleTakeaways'),
+    bullets: (n) => n,
+    instruction: (n) => `${n} concise bullet points with the key takeaways`,
+    fallback: 'extractive'
+  },
+  outline: {
+    label: i18n('styleOutline'),
+    bullets: (n) => n * 2,
+    instruction: (n) => `a detailed outline that follows the page's headings in order, as up to ${n * 2} bullet points of the form "Heading: what that section says"`,
+    fallback: 'outline'
+  },
+  brief: {
+    label: i18n('styleBrief'),
+    bullets: (n) => n,
+    instruction: (n) => `an executive brief of ${n} bullet points: start with "Bottom line: ..." and then cover context, key facts and implications for a decision-maker`,
+    fallback: 'brief'
+  },
+  actions: {
+    label: i18n('styleActions'),
+    bullets: (n) => n,
+    instruction: (n) => `up to ${n} concrete action items or recommendations from the page, each starting with a verb; if the page has none, a single bullet saying so`,
+    fallback: 'actions'
+  }
+};
+
+// Resolve (possibly unknown) style/length ids to a full option set.
+// base holds the medium-length counts ({bullets, highlights}); extra keys (e.g. language) are kept.
+function resolveSummaryOptions(styleId, lengthId, base = {}) {
+  const style = SUMMARY_STYLES[styleId] ? styleId : DEFAULT_SUMMARY_STYLE;
+  const length = SUMMARY_LENGTHS[lengthId] ? lengthId : DEFAULT_SUMMARY_LENGTH;
+  const scale = SUMMARY_LENGTHS[length].scale;
+  const baseBullets = Math.max(1, Math.round((base.bullets || 4) * scale));
+  const highlights = Math.max(0, Math.round((base.highlights === undefined ? 4 : base.highlights) * scale));
+  return Object.assign({}, base, {style, length, baseBullets, bullets: SUMMARY_STYLES[style].bullets(baseBullets), highlights});
+}
+
+// Prompt for a page (or merged partial summaries) in the given style.
+// options.language (a language name) asks for bullets in that language; highlights stay verbatim.
+function buildSummaryPrompt(options, content, intro = 'Summarize the following webpage content') {
+  const instruction = SUMMARY_STYLES[options.style].instruction(options.baseBullets);
+  const language = options.language ? ` Write the title and bullet points in ${options.language}, but copy the highlight sentences exactly as they appear in the content.` : '';
+  return `${intro} into ${instruction}, and pick ${options.highlights} highlight-worthy sentences (exact sentence text). ${SUMMARY_JSON_INSTRUCTION}${language} Content:\n\n${content}`;
+}